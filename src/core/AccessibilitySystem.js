@@ -0,0 +1,132 @@
+// Container attributes set by the carousel, restored on destroy
+const CONTAINER_ATTRIBUTES = ["role", "aria-roledescription", "aria-label"];
+
+// Hides an element visually while keeping it available to assistive technology
+const VISUALLY_HIDDEN = `
+  position: absolute;
+  width: 1px;
+  height: 1px;
+  margin: -1px;
+  padding: 0;
+  overflow: hidden;
+  clip: rect(0 0 0 0);
+  clip-path: inset(50%);
+  white-space: nowrap;
+  border: 0;
+`;
+
+/**
+ * Off-canvas DOM describing the carousel to screen readers: one focusable
+ * slide per image and a live region announcing the current image
+ */
+export class AccessibilitySystem {
+  constructor(container, options = {}) {
+    this.container = container;
+
+    this.params = {
+      label: options.label ?? "Image carousel",
+      slideLabel: options.slideLabel ?? "Image {index} of {total}",
+    };
+
+    this.state = {
+      currentIndex: null,
+      slides: [],
+      originalAttributes: {},
+    };
+
+    this.initialize();
+  }
+
+  initialize() {
+    CONTAINER_ATTRIBUTES.forEach((name) => {
+      this.state.originalAttributes[name] = this.container.getAttribute(name);
+    });
+
+    this.container.setAttribute("role", "region");
+    this.container.setAttribute("aria-roledescription", "carousel");
+    this.container.setAttribute("aria-label", this.params.label);
+
+    this.list = document.createElement("ul");
+    this.list.className = "parallax-carousel-slides";
+    this.list.style.cssText = VISUALLY_HIDDEN;
+
+    this.liveRegion = document.createElement("div");
+    this.liveRegion.className = "parallax-carousel-live";
+    this.liveRegion.setAttribute("aria-live", "polite");
+    this.liveRegion.setAttribute("aria-atomic", "true");
+    this.liveRegion.style.cssText = VISUALLY_HIDDEN;
+
+    this.container.append(this.list, this.liveRegion);
+  }
+
+  getSlideLabel(index, total) {
+    return this.params.slideLabel.replace("{index}", index + 1).replace("{total}", total);
+  }
+
+  getDescription(image) {
+    return image.config.alt || image.config.title || "";
+  }
+
+  /**
+   * (Re)creates the slides for the given images
+   */
+  render(images) {
+    this.list.replaceChildren();
+
+    this.state.slides = images.map((image, index) => {
+      const slide = document.createElement("li");
+      slide.setAttribute("role", "group");
+      slide.setAttribute("aria-roledescription", "slide");
+      slide.setAttribute("aria-label", this.getSlideLabel(index, images.length));
+      slide.textContent = this.getDescription(image);
+      slide.tabIndex = -1;
+
+      this.list.appendChild(slide);
+      return slide;
+    });
+
+    const currentIndex = this.state.currentIndex;
+    this.state.currentIndex = null;
+    this.update(Math.min(currentIndex ?? 0, images.length - 1), images, false);
+  }
+
+  /**
+   * Syncs the focusable slide with the current image and announces changes
+   */
+  update(index, images, announce = true) {
+    if (index === this.state.currentIndex || !this.state.slides[index]) return;
+
+    const previousSlide = this.state.slides[this.state.currentIndex];
+    const slide = this.state.slides[index];
+    this.state.currentIndex = index;
+
+    // Only the current slide is in the tab order
+    if (previousSlide) previousSlide.tabIndex = -1;
+    slide.tabIndex = 0;
+
+    // Move focus along if it is on the slides, e.g. while using the arrow keys
+    const activeElement = this.list.getRootNode().activeElement;
+    if (previousSlide && activeElement === previousSlide) {
+      slide.focus({ preventScroll: true });
+    }
+
+    if (announce) {
+      const description = this.getDescription(images[index]);
+      const label = this.getSlideLabel(index, images.length);
+      this.liveRegion.textContent = description ? `${label}: ${description}` : label;
+    }
+  }
+
+  destroy() {
+    this.list.remove();
+    this.liveRegion.remove();
+    CONTAINER_ATTRIBUTES.forEach((name) => {
+      const value = this.state.originalAttributes[name];
+      if (value === null) {
+        this.container.removeAttribute(name);
+      } else {
+        this.container.setAttribute(name, value);
+      }
+    });
+  }
+}
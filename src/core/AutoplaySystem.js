@@ -0,0 +1,117 @@
+export class AutoplaySystem {
+  constructor(options = {}) {
+    this.params = {
+      interval: options.interval ?? 5000, // Time in ms between two advances
+      resumeDelay: options.resumeDelay ?? 3000, // Pause in ms after user interaction
+      ringRadius: 6,
+      ringLineWidth: 1.5,
+      strokeStyle: "#fdfdfddd",
+      trackStyle: "#fdfdfd33",
+    };
+
+    this.state = {
+      isPlaying: false,
+      elapsed: 0,
+      resumeDelayRemaining: 0,
+      isHovered: false,
+      isHidden: false,
+      isBlocked: false,
+    };
+  }
+
+  play() {
+    this.state.isPlaying = true;
+    this.state.elapsed = 0;
+    this.state.resumeDelayRemaining = 0;
+  }
+
+  pause() {
+    this.state.isPlaying = false;
+  }
+
+  // Restart the timer and hold it for the resume delay
+  notifyInteraction() {
+    this.state.elapsed = 0;
+    this.state.resumeDelayRemaining = this.params.resumeDelay;
+  }
+
+  setHovered(isHovered) {
+    this.state.isHovered = isHovered;
+  }
+
+  setHidden(isHidden) {
+    this.state.isHidden = isHidden;
+  }
+
+  isPaused() {
+    return (
+      !this.state.isPlaying ||
+      this.state.isHovered ||
+      this.state.isHidden ||
+      this.state.isBlocked ||
+      this.state.resumeDelayRemaining > 0
+    );
+  }
+
+  /**
+   * Advances the timer, returns true when the carousel should move on
+   * @param {number} deltaTime - Elapsed time in ms
+   * @param {boolean} isBlocked - Whether the carousel currently forbids advancing
+   */
+  update(deltaTime, isBlocked = false) {
+    this.state.isBlocked = isBlocked;
+
+    if (!this.state.isPlaying) return false;
+
+    if (this.state.resumeDelayRemaining > 0) {
+      this.state.resumeDelayRemaining = Math.max(0, this.state.resumeDelayRemaining - deltaTime);
+    }
+
+    if (this.isPaused()) return false;
+
+    this.state.elapsed += deltaTime;
+    if (this.state.elapsed >= this.params.interval) {
+      this.state.elapsed = 0;
+      return true;
+    }
+    return false;
+  }
+
+  getProgress() {
+    return Math.min(1, this.state.elapsed / this.params.interval);
+  }
+
+  /**
+   * Renders the progress ring centered at the given point
+   */
+  render(ctx, centerX, centerY) {
+    const startAngle = -Math.PI / 2;
+
+    ctx.save();
+    ctx.lineWidth = this.params.ringLineWidth;
+
+    // Draw track
+    ctx.strokeStyle = this.params.trackStyle;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, this.params.ringRadius, 0, Math.PI * 2);
+    ctx.stroke();
+
+    // Draw progress
+    ctx.strokeStyle = this.params.strokeStyle;
+    ctx.beginPath();
+    ctx.arc(
+      centerX,
+      centerY,
+      this.params.ringRadius,
+      startAngle,
+      startAngle + this.getProgress() * Math.PI * 2
+    );
+    ctx.stroke();
+
+    ctx.restore();
+  }
+
+  isPlaying() {
+    return this.state.isPlaying;
+  }
+}
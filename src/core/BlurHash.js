@@ -0,0 +1,107 @@
+/**
+ * Minimal BlurHash decoder (https://blurha.sh), used for image placeholders
+ */
+const BASE83_DIGITS =
+  "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~";
+
+function decode83(value) {
+  let result = 0;
+  for (const char of value) {
+    const digit = BASE83_DIGITS.indexOf(char);
+    if (digit === -1) throw new Error(`Invalid BlurHash character: ${char}`);
+    result = result * 83 + digit;
+  }
+  return result;
+}
+
+function sRGBToLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function linearToSRGB(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308
+    ? Math.trunc(v * 12.92 * 255 + 0.5)
+    : Math.trunc((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+function signPow(value, exponent) {
+  return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+}
+
+function decodeDC(value) {
+  return [sRGBToLinear(value >> 16), sRGBToLinear((value >> 8) & 255), sRGBToLinear(value & 255)];
+}
+
+function decodeAC(value, maximumValue) {
+  const quantR = Math.floor(value / (19 * 19));
+  const quantG = Math.floor(value / 19) % 19;
+  const quantB = value % 19;
+
+  return [
+    signPow((quantR - 9) / 9, 2) * maximumValue,
+    signPow((quantG - 9) / 9, 2) * maximumValue,
+    signPow((quantB - 9) / 9, 2) * maximumValue,
+  ];
+}
+
+/**
+ * Decodes a BlurHash string into RGBA pixels
+ * @param {string} blurhash - Encoded hash
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @param {number} [punch=1] - Contrast of the decoded image
+ * @returns {Uint8ClampedArray} Pixel data usable with ImageData
+ */
+export function decodeBlurHash(blurhash, width, height, punch = 1) {
+  if (!blurhash || blurhash.length < 6) {
+    throw new Error("Invalid BlurHash: too short");
+  }
+
+  const sizeFlag = decode83(blurhash[0]);
+  const numY = Math.floor(sizeFlag / 9) + 1;
+  const numX = (sizeFlag % 9) + 1;
+
+  if (blurhash.length !== 4 + 2 * numX * numY) {
+    throw new Error(`Invalid BlurHash: expected length ${4 + 2 * numX * numY}`);
+  }
+
+  const maximumValue = (decode83(blurhash[1]) + 1) / 166;
+  const colors = [];
+  for (let i = 0; i < numX * numY; i++) {
+    if (i === 0) {
+      colors.push(decodeDC(decode83(blurhash.substring(2, 6))));
+    } else {
+      const value = decode83(blurhash.substring(4 + i * 2, 6 + i * 2));
+      colors.push(decodeAC(value, maximumValue * punch));
+    }
+  }
+
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+
+      for (let j = 0; j < numY; j++) {
+        for (let i = 0; i < numX; i++) {
+          const basis = Math.cos((Math.PI * x * i) / width) * Math.cos((Math.PI * y * j) / height);
+          const color = colors[i + j * numX];
+          r += color[0] * basis;
+          g += color[1] * basis;
+          b += color[2] * basis;
+        }
+      }
+
+      const offset = 4 * (x + y * width);
+      pixels[offset] = linearToSRGB(r);
+      pixels[offset + 1] = linearToSRGB(g);
+      pixels[offset + 2] = linearToSRGB(b);
+      pixels[offset + 3] = 255;
+    }
+  }
+
+  return pixels;
+}
@@ -0,0 +1,89 @@
+/**
+ * Coordinates several carousels on one page so that keyboard input only
+ * reaches the carousel that was focused or interacted with last
+ */
+export class CarouselGroup {
+  constructor(carousels = [], options = {}) {
+    this.carousels = [];
+    this.activeCarousel = null;
+    this.keyboardTarget = options.keyboardTarget || window;
+    // Without an explicit target keys only count while focus is in a carousel
+    this.isPageWide = Boolean(options.keyboardTarget);
+    this.activationHandlers = new Map();
+
+    this.boundHandlers = {
+      keyDown: this.handleKeyDown.bind(this),
+    };
+
+    carousels.forEach((carousel) => this.add(carousel));
+    this.keyboardTarget.addEventListener("keydown", this.boundHandlers.keyDown);
+  }
+
+  add(carousel) {
+    if (this.carousels.includes(carousel)) return this;
+
+    if (carousel.group) carousel.group.remove(carousel);
+    carousel.group = this;
+    this.carousels.push(carousel);
+
+    // Focusing or touching a carousel makes it the one receiving keys
+    const activate = () => this.setActive(carousel);
+    this.activationHandlers.set(carousel, activate);
+    if (carousel.container) {
+      carousel.container.addEventListener("focusin", activate);
+      carousel.container.addEventListener("pointerdown", activate);
+    }
+
+    if (!this.activeCarousel) this.activeCarousel = carousel;
+    return this;
+  }
+
+  remove(carousel) {
+    const index = this.carousels.indexOf(carousel);
+    if (index === -1) return this;
+
+    const activate = this.activationHandlers.get(carousel);
+    if (carousel.container) {
+      carousel.container.removeEventListener("focusin", activate);
+      carousel.container.removeEventListener("pointerdown", activate);
+    }
+    this.activationHandlers.delete(carousel);
+
+    this.carousels.splice(index, 1);
+    carousel.group = null;
+
+    if (this.activeCarousel === carousel) {
+      this.activeCarousel = this.carousels[0] || null;
+    }
+    return this;
+  }
+
+  setActive(carousel) {
+    if (this.carousels.includes(carousel)) {
+      this.activeCarousel = carousel;
+    }
+  }
+
+  handleKeyDown(e) {
+    if (!this.isPageWide && !this.isFocusInGroup(e)) return;
+
+    const carousel = this.activeCarousel;
+    if (!carousel || !carousel.state.isInitialized) return;
+    if (!carousel.config.features.enableKeyboard) return;
+
+    carousel.handleKeyDown(e);
+  }
+
+  isFocusInGroup(e) {
+    // The composed path also reaches into shadow roots, e.g. <parallax-carousel>
+    const path = e.composedPath();
+    return this.carousels.some(
+      (carousel) => carousel.container && path.includes(carousel.container)
+    );
+  }
+
+  destroy() {
+    this.keyboardTarget.removeEventListener("keydown", this.boundHandlers.keyDown);
+    [...this.carousels].forEach((carousel) => this.remove(carousel));
+  }
+}
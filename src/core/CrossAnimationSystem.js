@@ -1,5 +1,5 @@
 export class CrossAnimationSystem {
-  constructor() {
+  constructor(options = {}) {
     this.params = {
       smoothing: 0.15, // Animation speed for both show and hide
       maxLineLength: 11,
@@ -7,6 +7,7 @@ export class CrossAnimationSystem {
       lineWidth: 1.75,
       showMinThreshold: 0.01,
       sideMargin: 275, // Distance from screen edges for side crosses
+      orientation: options.orientation || "horizontal", // Vertical puts side crosses above and below
       centerShowDelay: 0.2, // Delay in seconds before center cross shows
       sidesShowDelay: 0.2, // Delay in seconds before side crosses show
       delaySlowFactor: 0.005, // Factor to multiply with dt
@@ -15,6 +16,8 @@ export class CrossAnimationSystem {
       rotationSmoothing: 0.075,
       rotationStep: Math.PI / 2,
       rotationMinThreshold: 0.00001,
+
+      spinSpeed: 0.12, // Rotation per frame of the center cross while loading
     };
 
     this.state = {
@@ -24,6 +27,10 @@ export class CrossAnimationSystem {
         isAnimatingOut: false,
         currentLength: this.params.maxLineLength,
         showDelayRemaining: 0,
+
+        currentRotation: 0,
+        targetRotation: 0,
+        isSpinning: false,
       },
       sides: {
         isVisible: false,
@@ -46,6 +53,22 @@ export class CrossAnimationSystem {
     this.state.sides.isRotating = true;
   }
 
+  setOrientation(orientation) {
+    this.params.orientation = orientation;
+  }
+
+  // Turn the center cross into a loading spinner
+  startSpinning() {
+    this.state.center.isSpinning = true;
+  }
+
+  // Let the spinner come to rest at the next upright position
+  stopSpinning() {
+    const step = this.params.rotationStep;
+    this.state.center.isSpinning = false;
+    this.state.center.targetRotation = Math.ceil(this.state.center.currentRotation / step) * step;
+  }
+
   resetRotation() {
     this.state.sides.currentRotation = 0;
     this.state.sides.targetRotation = 0;
@@ -122,6 +145,15 @@ export class CrossAnimationSystem {
 
     const rotationDelta = this.state.sides.targetRotation - this.state.sides.currentRotation;
     this.state.sides.currentRotation += rotationDelta * this.params.rotationSmoothing * dt;
+
+    // Update center cross rotation (loading spinner)
+    if (this.state.center.isSpinning) {
+      this.state.center.currentRotation += this.params.spinSpeed * dt;
+    } else {
+      const centerRotationDelta =
+        this.state.center.targetRotation - this.state.center.currentRotation;
+      this.state.center.currentRotation += centerRotationDelta * this.params.rotationSmoothing * dt;
+    }
   }
 
   renderCross(ctx, centerX, centerY, length, rotation = 0) {
@@ -151,25 +183,34 @@ export class CrossAnimationSystem {
 
     // Render center cross if visible
     if (this.state.center.isVisible) {
-      this.renderCross(ctx, centerX, centerY, this.state.center.currentLength);
+      this.renderCross(
+        ctx,
+        centerX,
+        centerY,
+        this.state.center.currentLength,
+        this.state.center.currentRotation
+      );
     }
 
     // Render side crosses if visible
     if (this.state.sides.isVisible) {
-      // Left cross
+      const inset = this.params.sideMargin + this.params.maxLineLength;
+      const isVertical = this.params.orientation === "vertical";
+
+      // Left (top) cross
       this.renderCross(
         ctx,
-        this.params.sideMargin + this.params.maxLineLength,
-        centerY,
+        isVertical ? centerX : inset,
+        isVertical ? inset : centerY,
         this.state.sides.currentLength,
         this.state.sides.currentRotation
       );
 
-      // Right cross
+      // Right (bottom) cross
       this.renderCross(
         ctx,
-        window.innerWidth - this.params.sideMargin - this.params.maxLineLength,
-        centerY,
+        isVertical ? centerX : centerX * 2 - inset,
+        isVertical ? centerY * 2 - inset : centerY,
         this.state.sides.currentLength,
         this.state.sides.currentRotation
       );
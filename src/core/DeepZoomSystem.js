@@ -0,0 +1,202 @@
+/**
+ * Zoom and pan layer for the fullscreen image. Scale and offset are applied
+ * around the viewport center on top of the cover-fit fullscreen rect.
+ */
+export class DeepZoomSystem {
+  constructor(options = {}) {
+    // Size of the area the carousel is drawn in, updated by the carousel on resize
+    this.viewport = options.viewport || { width: window.innerWidth, height: window.innerHeight };
+
+    this.params = {
+      maxScale: options.maxScale ?? 4,
+      doubleTapScale: options.doubleTapScale ?? 2.5,
+      smoothing: 0.25, // Share of the remaining zoom and pan covered per frame
+      friction: 0.92, // Share of the pan velocity kept per frame after a release
+      minVelocity: 0.05,
+      settleThreshold: 0.001,
+      reducedMotion: false, // Jump to zoom targets and stop pans on release
+    };
+
+    this.state = {
+      scale: 1,
+      targetScale: 1,
+      // Offset of the image center from the viewport center
+      x: 0,
+      y: 0,
+      targetX: 0,
+      targetY: 0,
+      velocityX: 0,
+      velocityY: 0,
+      isPanning: false,
+      // Cover-fit size of the image at scale 1
+      contentWidth: 0,
+      contentHeight: 0,
+    };
+  }
+
+  setReducedMotion(reducedMotion) {
+    this.params.reducedMotion = reducedMotion;
+  }
+
+  setContentSize(width, height) {
+    this.state.contentWidth = width;
+    this.state.contentHeight = height;
+  }
+
+  isZoomed() {
+    return this.state.targetScale > 1 || this.state.scale > 1 + this.params.settleThreshold;
+  }
+
+  isSettled() {
+    return (
+      !this.state.isPanning &&
+      Math.abs(this.state.targetScale - this.state.scale) < this.params.settleThreshold &&
+      Math.abs(this.state.targetX - this.state.x) < 0.5 &&
+      Math.abs(this.state.targetY - this.state.y) < 0.5 &&
+      Math.abs(this.state.velocityX) < this.params.minVelocity &&
+      Math.abs(this.state.velocityY) < this.params.minVelocity
+    );
+  }
+
+  /**
+   * Zoom to the given scale keeping the point under it in place
+   * @param {boolean} immediate - Skip the easing, e.g. while pinching
+   */
+  zoomTo(scale, point, immediate = false) {
+    const newScale = Math.max(1, Math.min(this.params.maxScale, scale));
+    const ratio = newScale / this.state.targetScale;
+    const centerX = this.viewport.width / 2;
+    const centerY = this.viewport.height / 2;
+
+    this.state.targetX = point.x - centerX - (point.x - centerX - this.state.targetX) * ratio;
+    this.state.targetY = point.y - centerY - (point.y - centerY - this.state.targetY) * ratio;
+    this.state.targetScale = newScale;
+    this.state.velocityX = 0;
+    this.state.velocityY = 0;
+    this.clampTarget();
+
+    if (immediate || this.params.reducedMotion) this.jumpToTarget();
+  }
+
+  /**
+   * Double tap: zoom in at the point, or back out when already zoomed
+   */
+  toggleAt(point) {
+    if (this.isZoomed()) {
+      this.reset(true);
+    } else {
+      this.zoomTo(this.params.doubleTapScale, point);
+    }
+  }
+
+  /**
+   * Move the image by a distance, e.g. for wheel scrolling
+   */
+  pan(dx, dy) {
+    this.state.targetX += dx;
+    this.state.targetY += dy;
+    this.state.velocityX = 0;
+    this.state.velocityY = 0;
+    this.clampTarget();
+    this.jumpToTarget();
+  }
+
+  /**
+   * Follow a dragging pointer, remembering its speed for the release
+   */
+  drag(dx, dy) {
+    this.pan(dx, dy);
+    this.state.velocityX = dx;
+    this.state.velocityY = dy;
+    this.state.isPanning = true;
+  }
+
+  release() {
+    this.state.isPanning = false;
+
+    if (this.params.reducedMotion) {
+      this.state.velocityX = 0;
+      this.state.velocityY = 0;
+    }
+  }
+
+  /**
+   * Return to the cover-fit image
+   * @param {boolean} animate - Ease back instead of jumping
+   */
+  reset(animate = false) {
+    Object.assign(this.state, {
+      targetScale: 1,
+      targetX: 0,
+      targetY: 0,
+      velocityX: 0,
+      velocityY: 0,
+      isPanning: false,
+    });
+
+    if (!animate || this.params.reducedMotion) this.jumpToTarget();
+  }
+
+  jumpToTarget() {
+    this.state.scale = this.state.targetScale;
+    this.state.x = this.state.targetX;
+    this.state.y = this.state.targetY;
+  }
+
+  // Keep the viewport covered by the image
+  clampTarget() {
+    const maxX = Math.max(
+      0,
+      (this.state.contentWidth * this.state.targetScale - this.viewport.width) / 2
+    );
+    const maxY = Math.max(
+      0,
+      (this.state.contentHeight * this.state.targetScale - this.viewport.height) / 2
+    );
+
+    if (Math.abs(this.state.targetX) > maxX) {
+      this.state.targetX = Math.sign(this.state.targetX) * maxX;
+      this.state.velocityX = 0;
+    }
+    if (Math.abs(this.state.targetY) > maxY) {
+      this.state.targetY = Math.sign(this.state.targetY) * maxY;
+      this.state.velocityY = 0;
+    }
+  }
+
+  updateAnimation(dt) {
+    // Glide on after a pan was released
+    if (!this.state.isPanning) {
+      const decay = Math.pow(this.params.friction, dt);
+      this.state.velocityX =
+        Math.abs(this.state.velocityX) > this.params.minVelocity ? this.state.velocityX * decay : 0;
+      this.state.velocityY =
+        Math.abs(this.state.velocityY) > this.params.minVelocity ? this.state.velocityY * decay : 0;
+      this.state.targetX += this.state.velocityX * dt;
+      this.state.targetY += this.state.velocityY * dt;
+      this.clampTarget();
+    }
+
+    const factor = Math.min(1, this.params.smoothing * dt);
+    this.state.scale += (this.state.targetScale - this.state.scale) * factor;
+    this.state.x += (this.state.targetX - this.state.x) * factor;
+    this.state.y += (this.state.targetY - this.state.y) * factor;
+
+    if (this.isSettled()) this.jumpToTarget();
+  }
+
+  /**
+   * Apply the zoom and pan to a rect drawn around the viewport center
+   */
+  transformRect(rect) {
+    const centerX = this.viewport.width / 2;
+    const centerY = this.viewport.height / 2;
+
+    return {
+      x: centerX + (rect.x - centerX) * this.state.scale + this.state.x,
+      y: centerY + (rect.y - centerY) * this.state.scale + this.state.y,
+      width: rect.width * this.state.scale,
+      height: rect.height * this.state.scale,
+    };
+  }
+}
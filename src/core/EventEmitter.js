@@ -0,0 +1,54 @@
+/**
+ * Minimal event emitter used to notify subscribers about carousel events
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+  }
+
+  off(event, handler) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+
+    // Also remove handlers registered through once()
+    handlers.forEach((registered) => {
+      if (registered === handler || registered.originalHandler === handler) {
+        handlers.delete(registered);
+      }
+    });
+  }
+
+  once(event, handler) {
+    const onceHandler = (detail) => {
+      this.off(event, onceHandler);
+      handler(detail);
+    };
+    onceHandler.originalHandler = handler;
+    this.on(event, onceHandler);
+  }
+
+  emit(event, detail) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+
+    // Copy so handlers can unsubscribe while the event is dispatched
+    [...handlers].forEach((handler) => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`ParallaxCarousel: Error in "${event}" handler`, error);
+      }
+    });
+  }
+
+  clear() {
+    this.listeners.clear();
+  }
+}
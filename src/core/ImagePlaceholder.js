@@ -0,0 +1,82 @@
+import { decodeBlurHash } from "./BlurHash.js";
+
+/**
+ * Low quality stand-in drawn while an image is loading. Accepts a dominant
+ * color, a tiny image (LQIP, usually a base64 data URI) or a BlurHash string,
+ * either as an object ({ color }, { src }, { blurhash }) or as a plain string
+ * whose type is detected.
+ */
+export class ImagePlaceholder {
+  constructor(value) {
+    this.params = {
+      blurHashSize: 32,
+      blurHashPunch: 1,
+    };
+
+    this.state = {
+      type: null, // 'color', 'image' or null if the value could not be used
+      color: null,
+      element: null,
+    };
+
+    this.initialize(typeof value === "string" ? this.detectType(value) : value || {});
+  }
+
+  // '#' and '.' are also BlurHash digits, so colors and relative URLs need their full shape
+  detectType(value) {
+    if (/^#[0-9a-f]{3,8}$/i.test(value) || /^(rgba?|hsla?)\(/i.test(value)) {
+      return { color: value };
+    }
+    if (/^(data:|blob:|https?:|\/|\.\.?\/)/i.test(value)) return { src: value };
+    return { blurhash: value };
+  }
+
+  initialize(source) {
+    if (source.color) {
+      this.state.type = "color";
+      this.state.color = source.color;
+    } else if (source.src) {
+      const img = new Image();
+      img.src = source.src;
+      this.state.type = "image";
+      this.state.element = img;
+    } else if (source.blurhash) {
+      try {
+        const size = this.params.blurHashSize;
+        const pixels = decodeBlurHash(source.blurhash, size, size, this.params.blurHashPunch);
+        const canvas = document.createElement("canvas");
+        canvas.width = size;
+        canvas.height = size;
+        canvas.getContext("2d").putImageData(new ImageData(pixels, size, size), 0, 0);
+
+        this.state.type = "image";
+        this.state.element = canvas;
+      } catch (error) {
+        console.warn(`ParallaxCarousel: ${error.message}`);
+      }
+    }
+  }
+
+  isReady() {
+    if (this.state.type === "color") return true;
+    if (this.state.type !== "image") return false;
+
+    // Canvases are ready right away, images once they have decoded
+    const element = this.state.element;
+    return !(element instanceof HTMLImageElement) || (element.complete && element.naturalWidth > 0);
+  }
+
+  render(ctx, rect) {
+    if (this.state.type === "color") {
+      ctx.fillStyle = this.state.color;
+      ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+      return;
+    }
+
+    ctx.save();
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(this.state.element, rect.x, rect.y, rect.width, rect.height);
+    ctx.restore();
+  }
+}
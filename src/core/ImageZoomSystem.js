@@ -1,18 +1,40 @@
 import { StageAnimationSystem } from "./StageAnimationSystem.js";
+import { DeepZoomSystem } from "./DeepZoomSystem.js";
 
 export class ImageZoomSystem {
-  constructor() {
+  constructor(options = {}) {
+    // Draws an image into a rect, lets the carousel handle placeholders
+    this.drawImage =
+      options.drawImage ||
+      ((ctx, image, rect) => ctx.drawImage(image.element, rect.x, rect.y, rect.width, rect.height));
+
+    // Size of the area the carousel is drawn in, updated by the carousel on resize
+    this.viewport = options.viewport || { width: window.innerWidth, height: window.innerHeight };
+
     this.params = {
       transitionSmoothing: 0.13,
       isCompleteThreshold: 0.0000001,
+      settleThreshold: 0.001,
+      dismissSmoothing: 0.2, // Share of a released dismiss swipe undone per frame
+      dismissScale: 0.6, // Image scale once a dismiss swipe covers the whole viewport
+      reducedMotion: false,
+      orientation: options.orientation || "horizontal",
+      direction: options.direction || "ltr",
     };
 
+    // Pinch and pan on top of the fullscreen image
+    this.deepZoom = new DeepZoomSystem({ ...options.deepZoom, viewport: this.viewport });
+
     this.state = {
       isActive: false,
       isZoomingOut: false,
       isZoomingIn: false,
       imageIndex: null,
       progress: 0,
+      // Offset of a swipe dragging the fullscreen image away
+      dismissX: 0,
+      dismissY: 0,
+      isDismissing: false,
     };
   }
 
@@ -20,8 +42,46 @@ export class ImageZoomSystem {
     return this.state.isZoomingIn || this.state.isZoomingOut;
   }
 
-  initStageSystem(nImages) {
-    this.stageSystem = new StageAnimationSystem(nImages);
+  // Whether the image (nearly) covers the screen and can be deep zoomed
+  isFullscreen() {
+    return (
+      this.state.isActive &&
+      !this.state.isZoomingOut &&
+      !this.stageSystem.isTransitioning() &&
+      this.state.progress > 0.9
+    );
+  }
+
+  initStageSystem(nImages, options = {}) {
+    this.stageSystem = new StageAnimationSystem(nImages, {
+      ...options,
+      drawImage: this.drawImage,
+      reducedMotion: this.params.reducedMotion,
+      orientation: this.params.orientation,
+      direction: this.params.direction,
+    });
+  }
+
+  setOrientation(orientation) {
+    this.params.orientation = orientation;
+    if (this.stageSystem) {
+      this.stageSystem.setOrientation(orientation);
+    }
+  }
+
+  setDirection(direction) {
+    this.params.direction = direction;
+    if (this.stageSystem) {
+      this.stageSystem.setDirection(direction);
+    }
+  }
+
+  setReducedMotion(reducedMotion) {
+    this.params.reducedMotion = reducedMotion;
+    this.deepZoom.setReducedMotion(reducedMotion);
+    if (this.stageSystem) {
+      this.stageSystem.setReducedMotion(reducedMotion);
+    }
   }
 
   zoomIn(imageIndex) {
@@ -32,16 +92,61 @@ export class ImageZoomSystem {
     this.state.imageIndex = imageIndex;
     this.state.progress = 0;
 
+    this.deepZoom.reset();
+    this.resetDismiss();
     this.stageSystem.initializeStage(imageIndex);
   }
 
   zoomOut() {
     this.state.isZoomingOut = true;
     this.state.isZoomingIn = false;
+    this.state.isDismissing = false;
+    this.deepZoom.reset(true);
+  }
+
+  // Follow a dismiss swipe, offset from where it started
+  dragDismiss(x, y) {
+    this.state.dismissX = x;
+    this.state.dismissY = y;
+    this.state.isDismissing = true;
+  }
+
+  // Let a dismiss swipe ease back, or along while zooming out
+  releaseDismiss() {
+    this.state.isDismissing = false;
+  }
+
+  resetDismiss() {
+    this.state.dismissX = 0;
+    this.state.dismissY = 0;
+    this.state.isDismissing = false;
+  }
+
+  // Share of the viewport the dismiss swipe covers across the slide axis
+  getDismissProgress() {
+    const isVertical = this.params.orientation === "vertical";
+    const offset = isVertical ? this.state.dismissX : this.state.dismissY;
+    const length = isVertical ? this.viewport.width : this.viewport.height;
+    return Math.min(1, Math.abs(offset) / length);
+  }
+
+  // Shrink a rect around the viewport center and move it with the dismiss swipe
+  transformDismissRect(rect) {
+    const scale = 1 - (1 - this.params.dismissScale) * this.getDismissProgress();
+    const centerX = this.viewport.width / 2;
+    const centerY = this.viewport.height / 2;
+
+    return {
+      x: centerX + (rect.x - centerX) * scale + this.state.dismissX,
+      y: centerY + (rect.y - centerY) * scale + this.state.dismissY,
+      width: rect.width * scale,
+      height: rect.height * scale,
+    };
   }
 
   transitionToImage(newIndex) {
     if (newIndex !== this.state.imageIndex) {
+      this.deepZoom.reset();
       this.stageSystem.transitionTo(newIndex);
       this.state.imageIndex = newIndex;
     }
@@ -49,14 +154,38 @@ export class ImageZoomSystem {
 
   jumpToImage(newIndex) {
     if (newIndex !== this.state.imageIndex) {
+      this.deepZoom.reset();
       this.stageSystem.jumpToImage(newIndex);
       this.state.imageIndex = newIndex;
     }
   }
 
+  // Switch the fullscreen image without any transition
+  setImage(newIndex) {
+    this.state.imageIndex = newIndex;
+    this.deepZoom.reset();
+    this.stageSystem.initializeStage(newIndex);
+  }
+
+  // Whether the zoom (eased) and stage animations are visually at rest
+  isSettled() {
+    if (!this.state.isActive) return true;
+    if (this.stageSystem.isTransitioning() || !this.deepZoom.isSettled()) return false;
+    if (this.state.isDismissing || this.state.dismissX !== 0 || this.state.dismissY !== 0) {
+      return false;
+    }
+
+    const easeProgress = this.easeOutCubic(this.state.progress);
+    const targetProgress = this.state.isZoomingOut ? 0 : 1;
+    return Math.abs(targetProgress - easeProgress) < this.params.settleThreshold;
+  }
+
   updateAnimation(dt) {
     if (!this.state.isActive) return false;
 
+    this.deepZoom.updateAnimation(dt);
+    this.updateDismiss(dt);
+
     if (this.state.isZoomingIn) dt *= 0.2;
     else dt *= 0.8;
 
@@ -76,45 +205,62 @@ export class ImageZoomSystem {
     }
   }
 
+  updateDismiss(dt) {
+    if (this.state.isDismissing) return;
+
+    const factor = this.params.reducedMotion ? 1 : Math.min(1, this.params.dismissSmoothing * dt);
+    this.state.dismissX -= this.state.dismissX * factor;
+    this.state.dismissY -= this.state.dismissY * factor;
+
+    if (Math.abs(this.state.dismissX) < 0.5 && Math.abs(this.state.dismissY) < 0.5) {
+      this.state.dismissX = 0;
+      this.state.dismissY = 0;
+    }
+  }
+
   render(ctx, image, imageRect, maskRect, allImages) {
-    const centerX = window.innerWidth / 2;
-    const centerY = window.innerHeight / 2;
+    const { width: viewportWidth, height: viewportHeight } = this.viewport;
+    const centerX = viewportWidth / 2;
+    const centerY = viewportHeight / 2;
 
     // Calculate fullscreen dimensions with proper aspect ratio
-    const screenRatio = window.innerWidth / window.innerHeight;
+    const screenRatio = viewportWidth / viewportHeight;
     const imageRatio = image.width / image.height;
 
     let fullscreenWidth, fullscreenHeight;
 
     // Ensure image covers screen while maintaining aspect ratio
     if (screenRatio > imageRatio) {
-      fullscreenHeight = window.innerHeight;
-      fullscreenWidth = window.innerHeight * imageRatio;
+      fullscreenHeight = viewportHeight;
+      fullscreenWidth = viewportHeight * imageRatio;
 
-      if (fullscreenWidth < window.innerWidth) {
-        const scale = window.innerWidth / fullscreenWidth;
-        fullscreenWidth = window.innerWidth;
+      if (fullscreenWidth < viewportWidth) {
+        const scale = viewportWidth / fullscreenWidth;
+        fullscreenWidth = viewportWidth;
         fullscreenHeight *= scale;
       }
     } else {
-      fullscreenWidth = window.innerWidth;
-      fullscreenHeight = window.innerWidth / imageRatio;
+      fullscreenWidth = viewportWidth;
+      fullscreenHeight = viewportWidth / imageRatio;
 
-      if (fullscreenHeight < window.innerHeight) {
-        const scale = window.innerHeight / fullscreenHeight;
-        fullscreenHeight = window.innerHeight;
+      if (fullscreenHeight < viewportHeight) {
+        const scale = viewportHeight / fullscreenHeight;
+        fullscreenHeight = viewportHeight;
         fullscreenWidth *= scale;
       }
     }
 
-    // Use cubic easing for smoother animation
-    const easeProgress = this.easeOutCubic(this.state.progress);
+    this.deepZoom.setContentSize(fullscreenWidth, fullscreenHeight);
+
+    // Use cubic easing for smoother animation. Reduced motion shows the image
+    // at its fullscreen size right away and fades it in instead.
+    const easeProgress = this.params.reducedMotion ? 1 : this.easeOutCubic(this.state.progress);
 
     // Calculate sizes
     const currentWidth = this.lerp(imageRect.width, fullscreenWidth, easeProgress);
     const currentHeight = this.lerp(imageRect.height, fullscreenHeight, easeProgress);
-    const currentMaskWidth = this.lerp(maskRect.width, window.innerWidth, easeProgress);
-    const currentMaskHeight = this.lerp(maskRect.height, window.innerHeight, easeProgress);
+    const currentMaskWidth = this.lerp(maskRect.width, viewportWidth, easeProgress);
+    const currentMaskHeight = this.lerp(maskRect.height, viewportHeight, easeProgress);
 
     // Calculate the center points of start and end positions
     const startImageCenterX = imageRect.x + imageRect.width / 2;
@@ -154,15 +300,42 @@ export class ImageZoomSystem {
       );
     } else {
       // Use normal rendering for single image
+      const mask = this.transformDismissRect({
+        x: maskX,
+        y: maskY,
+        width: currentMaskWidth,
+        height: currentMaskHeight,
+      });
+
       ctx.save();
+      ctx.globalAlpha *= this.getOpacity();
       ctx.beginPath();
-      ctx.roundRect(maskX, maskY, currentMaskWidth, currentMaskHeight, 1);
+      ctx.roundRect(mask.x, mask.y, mask.width, mask.height, 1);
       ctx.clip();
-      ctx.drawImage(image.element, imageX, imageY, currentWidth, currentHeight);
+      this.drawImage(
+        ctx,
+        image,
+        this.transformDismissRect(
+          this.deepZoom.transformRect({
+            x: imageX,
+            y: imageY,
+            width: currentWidth,
+            height: currentHeight,
+          })
+        )
+      );
       ctx.restore();
     }
   }
 
+  // Opacity of the fullscreen image, only below 1 while fading with reduced motion
+  getOpacity() {
+    if (!this.params.reducedMotion) return 1;
+
+    const opacity = this.easeOutCubic(this.state.progress);
+    return opacity > 1 - this.params.settleThreshold ? 1 : opacity;
+  }
+
   expDecay(start, end, progress) {
     return start + (end - start) * (1 - Math.exp(-3 * progress));
   }
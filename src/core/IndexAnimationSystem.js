@@ -6,6 +6,7 @@ export class IndexAnimationSystem {
       font: "15px system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif",
       color: "#fdfdfddd",
       style: options.style || "smooth", // 'snap', 'smooth', or 'clipped'
+      direction: options.direction || "ltr", // 'rtl' mirrors the counter to "12 ― 3"
 
       // Snap animation config (original style)
       snap: {
@@ -45,22 +46,24 @@ export class IndexAnimationSystem {
       opacity: 1, // Current opacity for smooth transitions
       lastDirection: 0, // Last movement direction
       isTransitioning: false, // Active transition flag
+      loopCount: 0, // Number of images when wrapping, 0 if not looping
     };
   }
 
   /**
-   * Updates the animation state based on the current scroll position
+   * Updates the animation state based on the current scroll position.
+   * Pass the number of images as loopCount to wrap the counter in loop mode,
+   * or as imageCount to keep it in range when the slider is pulled past the end.
    */
-  updateIndex(scrollPosition, containerWidth, containerGap) {
-    const transitionWidth = containerWidth + containerGap;
-    const halfGap = containerGap / 2;
-    const firstTransitionPoint = containerWidth / 2 + halfGap;
-
-    let newTargetIndex = 0;
-    if (scrollPosition >= firstTransitionPoint) {
-      const distanceAfterFirst = scrollPosition - firstTransitionPoint;
-      newTargetIndex = 1 + Math.floor(distanceAfterFirst / transitionWidth);
-    }
+  updateIndex(scrollPosition, containerWidth, containerGap, loopCount = 0, imageCount = Infinity) {
+    const newTargetIndex = this.getIndexAtPosition(
+      scrollPosition,
+      containerWidth,
+      containerGap,
+      loopCount,
+      imageCount
+    );
+    this.state.loopCount = loopCount;
 
     // Handle index changes based on style
     if (newTargetIndex !== this.state.targetIndex) {
@@ -80,14 +83,53 @@ export class IndexAnimationSystem {
     }
   }
 
+  /**
+   * Index of the image in the center slot for the given scroll position
+   */
+  getIndexAtPosition(
+    scrollPosition,
+    containerWidth,
+    containerGap,
+    loopCount = 0,
+    imageCount = Infinity
+  ) {
+    const transitionWidth = containerWidth + containerGap;
+    const halfGap = containerGap / 2;
+    const firstTransitionPoint = containerWidth / 2 + halfGap;
+
+    if (loopCount > 0) {
+      const rawIndex = Math.floor((scrollPosition + firstTransitionPoint) / transitionWidth);
+      return ((rawIndex % loopCount) + loopCount) % loopCount;
+    }
+
+    if (scrollPosition >= firstTransitionPoint) {
+      const distanceAfterFirst = scrollPosition - firstTransitionPoint;
+      return Math.min(imageCount - 1, 1 + Math.floor(distanceAfterFirst / transitionWidth));
+    }
+    return 0;
+  }
+
+  /**
+   * Direction of an index change, taking the shortest way around in loop mode
+   */
+  getDirection(newTargetIndex) {
+    let delta = newTargetIndex - this.state.targetIndex;
+    const loopCount = this.state.loopCount;
+    if (loopCount > 0 && Math.abs(delta) > loopCount / 2) {
+      delta -= Math.sign(delta) * loopCount;
+    }
+    return delta > 0 ? 1 : -1;
+  }
+
   /**
    * Initialize snap-style animation
    */
   updateSnapAnimation(newTargetIndex) {
-    const direction = newTargetIndex > this.state.targetIndex ? 1 : -1;
+    const direction = this.getDirection(newTargetIndex);
     this.state.currentIndex = this.state.targetIndex;
     this.state.snapProgress = 0;
     this.state.snapOffset = this.config.height * direction;
+    this.state.lastDirection = direction;
   }
 
   /**
@@ -109,7 +151,7 @@ export class IndexAnimationSystem {
    * Initialize smooth or clipped animation
    */
   updateSmoothOrClippedAnimation(newTargetIndex) {
-    const direction = newTargetIndex > this.state.targetIndex ? 1 : -1;
+    const direction = this.getDirection(newTargetIndex);
 
     this.state.currentIndex = this.state.targetIndex;
     this.state.transitionProgress = 0;
@@ -171,6 +213,27 @@ export class IndexAnimationSystem {
   /**
    * Renders the index counter
    */
+  setDirection(direction) {
+    this.config.direction = direction;
+  }
+
+  /**
+   * Horizontal position of an element of the given width relative to the
+   * center, mirrored for right-to-left layouts
+   */
+  getX(centerX, offset, width = 0) {
+    return this.config.direction === "rtl" ? centerX - offset - width : centerX + offset;
+  }
+
+  getTextAlign(align) {
+    if (this.config.direction !== "rtl") return align;
+    return align === "left" ? "right" : "left";
+  }
+
+  getTotalText(totalImages) {
+    return this.config.direction === "rtl" ? `${totalImages}  ―` : `―  ${totalImages}`;
+  }
+
   render(ctx, centerX, bottomY, totalImages) {
     switch (this.config.style) {
       case "snap":
@@ -195,23 +258,23 @@ export class IndexAnimationSystem {
     ctx.font = this.config.font;
     ctx.fillStyle = this.config.color;
     ctx.textBaseline = "middle";
-    ctx.textAlign = "right";
+    ctx.textAlign = this.getTextAlign("right");
 
     // Create clipping region
     ctx.beginPath();
-    ctx.rect(centerX - 50, bottomY - height, 40, height * 2);
+    ctx.rect(this.getX(centerX, -50, 40), bottomY - height, 40, height * 2);
     ctx.clip();
 
     // Draw current number
     const currentY = bottomY + this.state.snapOffset;
-    ctx.fillText((this.state.targetIndex + 1).toString(), centerX - 20, currentY);
+    ctx.fillText((this.state.targetIndex + 1).toString(), this.getX(centerX, -20), currentY);
 
     // Draw transitioning number if animating
     if (this.state.snapProgress < 1) {
       const prevNumber = this.state.currentIndex + 1;
-      const direction = this.state.targetIndex > this.state.currentIndex ? -1 : 1;
+      const direction = -this.state.lastDirection;
       const transitionY = currentY + height * -direction;
-      ctx.fillText(prevNumber.toString(), centerX - 20, transitionY);
+      ctx.fillText(prevNumber.toString(), this.getX(centerX, -20), transitionY);
     }
 
     ctx.restore();
@@ -219,9 +282,9 @@ export class IndexAnimationSystem {
     // Draw total count
     ctx.font = this.config.font;
     ctx.fillStyle = this.config.color;
-    ctx.textAlign = "left";
+    ctx.textAlign = this.getTextAlign("left");
     ctx.textBaseline = "middle";
-    ctx.fillText(`―  ${totalImages}`, centerX - 12, bottomY);
+    ctx.fillText(this.getTotalText(totalImages), this.getX(centerX, -12), bottomY);
   }
 
   /**
@@ -231,18 +294,18 @@ export class IndexAnimationSystem {
     ctx.save();
     ctx.font = this.config.font;
     ctx.textBaseline = "middle";
-    ctx.textAlign = "right";
+    ctx.textAlign = this.getTextAlign("right");
 
     // Create clipping region
     const clipHeight = this.config.smooth.numberSpacing * 1.5;
     ctx.beginPath();
-    ctx.rect(centerX - 50, bottomY - clipHeight, 40, clipHeight * 2);
+    ctx.rect(this.getX(centerX, -50, 40), bottomY - clipHeight, 40, clipHeight * 2);
     ctx.clip();
 
     // Draw current (target) number
     const currentY = bottomY + this.state.offset;
     ctx.fillStyle = `rgba(253, 253, 253, ${this.state.opacity})`;
-    ctx.fillText((this.state.targetIndex + 1).toString(), centerX - 20, currentY);
+    ctx.fillText((this.state.targetIndex + 1).toString(), this.getX(centerX, -20), currentY);
 
     // Draw transitioning number during active transition
     if (this.state.isTransitioning && this.state.transitionProgress < 1) {
@@ -256,7 +319,7 @@ export class IndexAnimationSystem {
 
       if (exitingOpacity > 0) {
         ctx.fillStyle = `rgba(253, 253, 253, ${exitingOpacity})`;
-        ctx.fillText(prevNumber.toString(), centerX - 20, transitionY);
+        ctx.fillText(prevNumber.toString(), this.getX(centerX, -20), transitionY);
       }
     }
 
@@ -265,9 +328,9 @@ export class IndexAnimationSystem {
     // Draw total count
     ctx.font = this.config.font;
     ctx.fillStyle = this.config.color;
-    ctx.textAlign = "left";
+    ctx.textAlign = this.getTextAlign("left");
     ctx.textBaseline = "middle";
-    ctx.fillText(`―  ${totalImages}`, centerX - 10, bottomY);
+    ctx.fillText(this.getTotalText(totalImages), this.getX(centerX, -10), bottomY);
   }
 
   /**
@@ -278,23 +341,23 @@ export class IndexAnimationSystem {
     ctx.font = this.config.font;
     ctx.fillStyle = this.config.color;
     ctx.textBaseline = "middle";
-    ctx.textAlign = "right";
+    ctx.textAlign = this.getTextAlign("right");
 
     // Create strict clipping region
     const visibleHeight = this.config.clipped.visibleHeight;
     ctx.beginPath();
-    ctx.rect(centerX - 50, bottomY - visibleHeight / 2, 40, visibleHeight);
+    ctx.rect(this.getX(centerX, -50, 40), bottomY - visibleHeight / 2, 40, visibleHeight);
     ctx.clip();
 
     // Draw current number
     const currentY = bottomY + this.state.offset;
-    ctx.fillText((this.state.targetIndex + 1).toString(), centerX - 20, currentY);
+    ctx.fillText((this.state.targetIndex + 1).toString(), this.getX(centerX, -20), currentY);
 
     // Draw transitioning number during animation
     if (this.state.isTransitioning) {
       const prevNumber = this.state.currentIndex + 1;
       const transitionY = currentY + this.config.clipped.numberSpacing * -this.state.lastDirection;
-      ctx.fillText(prevNumber.toString(), centerX - 20, transitionY);
+      ctx.fillText(prevNumber.toString(), this.getX(centerX, -20), transitionY);
     }
 
     ctx.restore();
@@ -302,8 +365,8 @@ export class IndexAnimationSystem {
     // Draw total count
     ctx.font = this.config.font;
     ctx.fillStyle = this.config.color;
-    ctx.textAlign = "left";
+    ctx.textAlign = this.getTextAlign("left");
     ctx.textBaseline = "middle";
-    ctx.fillText(`―  ${totalImages}`, centerX - 10, bottomY);
+    ctx.fillText(this.getTotalText(totalImages), this.getX(centerX, -10), bottomY);
   }
 }
@@ -1,8 +1,17 @@
 export class MiniSliderSystem {
-  constructor() {
+  constructor(options = {}) {
+    // Size of the area the carousel is drawn in, updated by the carousel on resize
+    this.viewport = options.viewport || { width: window.innerWidth, height: window.innerHeight };
+
+    // Vertical carousels dock the thumbnails to the right edge as a column
+    this.orientation = options.orientation || "horizontal";
+    // Right-to-left carousels mirror the thumbnails to the left edge
+    this.direction = options.direction || "ltr";
+
     this.config = {
       motion: {
         progressSpeed: 0.006,
+        fadeSpeed: 0.05, // Progress per frame of the cross-fade used with reduced motion
         smoothing: 0.2,
         staggerStrength: 0.75,
       },
@@ -19,9 +28,30 @@ export class MiniSliderSystem {
       progress: 0,
       zoomedImageIndex: null,
       lastProgress: null,
+      isReducedMotion: false,
     };
   }
 
+  // Replaces the staggered fly-in with a cross-fade of all thumbnails
+  setReducedMotion(isReducedMotion) {
+    this.state.isReducedMotion = isReducedMotion;
+  }
+
+  setOrientation(orientation) {
+    this.orientation = orientation;
+  }
+
+  setDirection(direction) {
+    this.direction = direction;
+  }
+
+  getMiniTarget(index, totalImages, aspectRatio) {
+    const target = this.getLtrMiniTarget(index, totalImages, aspectRatio);
+    if (this.direction !== "rtl") return target;
+
+    return { ...target, x: this.viewport.width - target.x - target.width };
+  }
+
   calculateDimensions(scale) {
     this.config.dimensions = {
       ...this.config.dimensions,
@@ -32,13 +62,28 @@ export class MiniSliderSystem {
     };
   }
 
-  getMiniTarget(index, totalImages, aspectRatio) {
+  getLtrMiniTarget(index, totalImages, aspectRatio) {
     const { miniWidth, bottomMargin, rightMargin, imageGap } = this.config.dimensions;
+
+    if (this.orientation === "vertical") {
+      // Thumbnails share their height in the column, centered on the right edge
+      const miniHeight = miniWidth;
+      const width = miniHeight * aspectRatio;
+      const totalHeight = totalImages * (miniHeight + imageGap) - imageGap;
+
+      return {
+        x: this.viewport.width - width - rightMargin,
+        y: (this.viewport.height - totalHeight) / 2 + index * (miniHeight + imageGap),
+        width,
+        height: miniHeight,
+        miniHeight,
+      };
+    }
     const miniHeight = miniWidth / aspectRatio;
     const totalWidth = totalImages * (miniWidth + imageGap);
 
-    const miniX = window.innerWidth - totalWidth + index * (miniWidth + imageGap) - rightMargin;
-    const miniY = window.innerHeight - miniHeight - bottomMargin;
+    const miniX = this.viewport.width - totalWidth + index * (miniWidth + imageGap) - rightMargin;
+    const miniY = this.viewport.height - miniHeight - bottomMargin;
 
     return {
       x: miniX,
@@ -99,6 +144,8 @@ export class MiniSliderSystem {
   }
 
   getProgress(index, totalImages) {
+    if (this.state.isReducedMotion) return this.state.progress;
+
     const progress = this.calculateImageProgress(index, totalImages);
     if (this.state.mode === "toMini") this.state.lastProgress = this.state.progress;
     return progress;
@@ -109,7 +156,10 @@ export class MiniSliderSystem {
 
     //dt *= 0.08;
 
-    const progressDelta = this.config.motion.progressSpeed * dt;
+    const speed = this.state.isReducedMotion
+      ? this.config.motion.fadeSpeed
+      : this.config.motion.progressSpeed;
+    const progressDelta = speed * dt;
 
     this.state.progress = Math.max(0, Math.min(1, this.state.progress + progressDelta));
     if (this.state.mode === "toSlider")
@@ -144,6 +194,10 @@ export class MiniSliderSystem {
     return this.state.mode !== "inactive";
   }
 
+  isSettled() {
+    return this.state.mode === "inactive" || this.state.progress >= 1;
+  }
+
   setInactive() {
     this.state.mode = "inactive";
     this.state.progress = 0;
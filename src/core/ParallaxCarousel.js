@@ -3,6 +3,36 @@ import { ImageZoomSystem } from "./ImageZoomSystem.js";
 import { MiniSliderSystem } from "./MiniSliderSystem.js";
 import { CrossAnimationSystem } from "./CrossAnimationSystem.js";
 import { TitleAnimationSystem } from "./TitleAnimationSystem.js";
+import { AutoplaySystem } from "./AutoplaySystem.js";
+import { EventEmitter } from "./EventEmitter.js";
+import { ImagePlaceholder } from "./ImagePlaceholder.js";
+import { CarouselGroup } from "./CarouselGroup.js";
+import { AccessibilitySystem } from "./AccessibilitySystem.js";
+import { createSliderPhysics } from "./SliderPhysics.js";
+
+// Vertical carousels move to the next image with the down arrow
+const VERTICAL_ARROW_KEYS = { ArrowUp: "ArrowDown", Up: "Down", ArrowDown: "ArrowUp", Down: "Up" };
+
+// Right-to-left carousels move to the next image with the left arrow
+const RTL_ARROW_KEYS = {
+  ArrowLeft: "ArrowRight",
+  Left: "Right",
+  ArrowRight: "ArrowLeft",
+  Right: "Left",
+};
+
+// Hashes like "image=3&zoom=1", anything else is an anchor or a route
+const HASH_PARAMS = /^[^&=]+=[^&]*(&[^&=]+=[^&]*)*$/;
+
+// Keys typed into form fields and editable content belong to them
+function isEditableTarget(target) {
+  if (!target || !target.closest) return false;
+  return target.isContentEditable || Boolean(target.closest("input, select, textarea"));
+}
+
+function isPlainObject(value) {
+  return !!value && Object.getPrototypeOf(value) === Object.prototype;
+}
 
 /**
  * ParallaxCarousel - A canvas-based parallax image carousel
@@ -25,6 +55,7 @@ export class ParallaxCarousel {
    */
   static defaultConfig = {
     container: "body",
+    keyboardTarget: null, // Element or selector receiving key events, defaults to the container
 
     images: [],
 
@@ -35,6 +66,13 @@ export class ParallaxCarousel {
       enableKeyboard: true,
       enableWheel: true,
       enableDrag: true,
+      loop: false,
+      enableDeepZoom: true, // Pinch, ctrl+wheel and double-tap zoom in fullscreen
+      swipeToDismiss: true, // Swipes across the slide axis close fullscreen
+      history: false, // Add a history entry for fullscreen, closed by the back button
+      enableFullscreenKey: false, // 'f' toggles browser fullscreen for the container
+      orientation: "horizontal", // 'horizontal' or 'vertical'
+      direction: "auto", // 'ltr', 'rtl' or 'auto' to follow the container's CSS direction
     },
 
     baseViewport: {
@@ -57,23 +95,76 @@ export class ParallaxCarousel {
       dragSensitivity: 1,
       wheelSensitivity: 0.65,
       keyboardSensitivity: 50,
+      reducedMotion: "auto", // 'auto' follows prefers-reduced-motion, or true/false to override
+      reducedMotionStep: 50, // Wheel or key input that moves one image with reduced motion
       minScrollThreshold: 0.0005,
       minDragThreshold: 20,
+      dismissThreshold: 0.2, // Share of the viewport a swipe has to cover to close fullscreen
       baseDamping: 0.8,
       edgeDamping: 0.7,
       edgeZone: 0.5,
       maxVelocity: 400,
       minVelocity: 0.001,
+      physics: "friction", // 'friction', 'spring', 'rubberband' or a custom model
+      springStiffness: 0.02, // 'spring' and 'rubberband' pull towards their target
+      springDamping: null, // Defaults to critical damping
+      overscrollLimit: 150, // How far 'rubberband' can be pulled past the ends
       positionSmoothing: 0.075,
+      snap: "none", // 'none', 'nearest' or 'proximity' (only close to an image)
+      snapVelocity: 1, // Velocity below which a free scroll snaps
+      snapStrength: 0.1, // Share of the remaining distance covered per frame while snapping
+      snapProximity: 0.25, // Share of the slide spacing within which 'proximity' snaps
       parallaxStrength: 0.6,
       parallaxSmoothing: 0.9,
     },
 
+    autoplay: {
+      enabled: false,
+      interval: 5000,
+      resumeDelay: 3000,
+      pauseOnHover: true,
+      advanceInFullscreen: false,
+      showProgress: true,
+    },
+
+    loading: {
+      lazy: false,
+      preloadWindow: 2,
+      placeholderColor: "#1f1f1f",
+      defaultAspectRatio: 2,
+      fadeDuration: 400,
+      retries: 2,
+      retryDelay: 500,
+      showIndicator: false,
+    },
+
     styling: {
       backgroundColor: "#141414",
       centerCrossColor: "#fdfdfddd",
       centerCrossLineWidth: 1.75,
       centerCrossLineLength: 11,
+      errorTileColor: "#1f1f1f",
+      errorIconColor: "#fdfdfd66",
+    },
+
+    deepZoom: {
+      maxScale: 4, // Maximum zoom on top of the fullscreen image
+      doubleTapScale: 2.5,
+      doubleTapDelay: 300, // Time in ms to wait for a second tap, 0 disables double-tap
+      wheelSpeed: 0.01, // Zoom per pixel of ctrl+wheel or trackpad pinch
+    },
+
+    deepLink: {
+      enabled: false,
+      mode: "hash", // 'hash' (#image=3) or 'query' (?image=3)
+      param: "image", // Holds the image id, or its 1-based position for images without id
+      zoomParam: "zoom", // Set to 1 while the image is shown in fullscreen
+    },
+
+    accessibility: {
+      enabled: true,
+      label: "Image carousel", // Accessible name of the carousel region
+      slideLabel: "Image {index} of {total}", // Label of each slide and its announcement
     },
 
     callbacks: {
@@ -81,11 +172,111 @@ export class ParallaxCarousel {
       onZoomIn: null,
       onZoomOut: null,
       onSlide: null,
+      onImageError: null,
+      onProgress: null,
       onInit: null,
       onDestroy: null,
     },
   };
 
+  /**
+   * Option groups of the config, passed through as props by the framework bindings
+   */
+  static configGroups = Object.keys(ParallaxCarousel.defaultConfig).filter(
+    (key) => isPlainObject(ParallaxCarousel.defaultConfig[key]) && key !== "callbacks"
+  );
+
+  /**
+   * Names of all events emitted through on()
+   */
+  static events = [
+    "init",
+    "destroy",
+    "indexchange",
+    "dragstart",
+    "dragend",
+    "settle",
+    "snap",
+    "slide",
+    "zoomstart",
+    "zoomend",
+    "imageload",
+    "imageerror",
+    "progress",
+    "resize",
+    "fullscreenchange",
+  ];
+
+  /**
+   * Methods the framework bindings expose on their refs
+   */
+  static apiMethods = [
+    "goToImage",
+    "next",
+    "prev",
+    "zoomIn",
+    "zoomOut",
+    "isZoomed",
+    "enterFullscreen",
+    "exitFullscreen",
+    "toggleFullscreen",
+    "isFullscreen",
+    "play",
+    "pause",
+    "isPlaying",
+    "getCurrentIndex",
+    "setImages",
+    "addImages",
+    "removeImage",
+    "moveImage",
+  ];
+
+  /**
+   * Group carousels that share a page so only the focused or last used one
+   * reacts to keyboard input
+   * @param {ParallaxCarousel[]} carousels - Carousels to coordinate
+   * @param {Object} [options] - { keyboardTarget } receiving key events. Defaults to window,
+   * but keys then only count while focus is inside one of the carousels
+   * @returns {CarouselGroup} Group with add(), remove(), setActive() and destroy()
+   */
+  static group(carousels, options = {}) {
+    return new CarouselGroup(carousels, options);
+  }
+
+  /**
+   * Read image configs from `<img>` markup, optionally wrapped in links.
+   * The title is taken from `data-title`, the link's title or text, or the alt text.
+   * @param {Element} root - Element containing the markup
+   * @returns {Array<Object>} Image configs with src, alt, title and href
+   */
+  static readImagesFromMarkup(root) {
+    return Array.from(root.querySelectorAll("img"))
+      .filter((img) => img.getAttribute("src"))
+      .map((img) => {
+        const closestLink = img.closest("a");
+        const link = closestLink && root.contains(closestLink) ? closestLink : null;
+        const image = { src: img.src, alt: img.alt };
+
+        const title =
+          img.dataset.title || (link && (link.title || link.textContent.trim())) || img.alt;
+        if (title) image.title = title;
+        if (link) image.href = link.href;
+        if (img.srcset) image.srcset = img.srcset;
+
+        // Intrinsic size from the markup avoids a layout jump once the image loads
+        const width = parseInt(img.getAttribute("width"), 10);
+        const height = parseInt(img.getAttribute("height"), 10);
+        if (width > 0 && height > 0) {
+          image.width = width;
+          image.height = height;
+        }
+
+        if (img.dataset.placeholder) image.placeholder = img.dataset.placeholder;
+        if (img.dataset.fallbackSrc) image.fallbackSrc = img.dataset.fallbackSrc;
+        return image;
+      });
+  }
+
   constructor(userConfig = {}) {
     // Merge user config with defaults
     this.config = this.mergeConfig(ParallaxCarousel.defaultConfig, userConfig);
@@ -100,7 +291,18 @@ export class ParallaxCarousel {
       velocity: 0,
       isPointerDown: false,
       isDragging: false,
-      lastPointerX: 0,
+      lastPointerPosition: 0,
+      pointerDownPoint: null,
+      pointers: new Map(), // Canvas points of the active pointers by id
+      pinch: null, // { distance, scale } while pinching in fullscreen
+      isZoomGesture: false, // The current pointers pinch or pan a deep zoomed image
+      isDismissing: false, // The pointer swipes the fullscreen image away
+      hasHistoryEntry: false, // A history entry was pushed for fullscreen
+      deepLinkKey: null, // Image and zoom state last written to the URL
+      isBrowserFullscreen: false, // The container fills the screen through the Fullscreen API
+      pendingTap: null, // Fullscreen tap waiting for a possible double-tap
+      resizeTimeout: null,
+      hasAddedTabIndex: false, // The container was made focusable by the carousel
       minScroll: 0,
       maxScroll: 0,
       targetPosition: null,
@@ -110,6 +312,15 @@ export class ParallaxCarousel {
         images: [],
         masks: [],
       },
+      centerIndex: 0,
+      isSettled: true,
+      snapPosition: null,
+      zoomTransition: null,
+      imageListVersion: 0,
+      pendingImageConfigs: null, // Image list of the update still loading, edits build on it
+      isLoading: false,
+      isReducedMotion: false,
+      scrollInput: 0,
       isInitialized: false,
       isDestroyed: false,
     };
@@ -119,6 +330,14 @@ export class ParallaxCarousel {
     this.ctx = null;
     this.container = null;
     this.titleContainer = null;
+    this.resizeObserver = null;
+    this.keyboardTarget = null;
+    this.group = null;
+    this.sourceElements = [];
+    this.reducedMotionQuery = null;
+
+    // Size of the container in CSS pixels, all layout is relative to it
+    this.viewport = { width: 0, height: 0 };
 
     // Animation systems
     this.indexAnimation = null;
@@ -126,12 +345,21 @@ export class ParallaxCarousel {
     this.miniSliderSystem = null;
     this.crossAnimation = null;
     this.titleAnimation = null;
+    this.autoplaySystem = null;
+    this.accessibility = null;
 
     // Animation frame ID
     this.animationFrameId = null;
 
-    // Initialize the carousel
-    this.init();
+    // Pending promises of the navigation API, resolved once their condition holds
+    this.settleWaiters = [];
+
+    // Event subscriptions, the callbacks config is attached as a set of adapters
+    this.events = new EventEmitter();
+    this.setupCallbackAdapters();
+
+    // Initialize the carousel, resolves with the carousel once images are ready
+    this.ready = this.init();
   }
 
   /**
@@ -141,10 +369,11 @@ export class ParallaxCarousel {
     const merged = { ...defaultConfig };
 
     for (const key in userConfig) {
+      // Only merge plain option groups, DOM elements, arrays and objects
+      // replacing other values (e.g. a custom physics model) are taken as is
       if (
-        userConfig[key] &&
-        typeof userConfig[key] === "object" &&
-        !Array.isArray(userConfig[key])
+        isPlainObject(userConfig[key]) &&
+        (defaultConfig[key] === undefined || isPlainObject(defaultConfig[key]))
       ) {
         merged[key] = this.mergeConfig(defaultConfig[key] || {}, userConfig[key]);
       } else {
@@ -159,12 +388,39 @@ export class ParallaxCarousel {
    * Validate configuration
    */
   validateConfig() {
-    if (!this.config.images || this.config.images.length === 0) {
-      throw new Error("ParallaxCarousel: images array is required and must not be empty");
+    // An empty list is allowed, images are then read from the container markup
+    if (!Array.isArray(this.config.images)) {
+      throw new Error("ParallaxCarousel: images must be an array");
+    }
+
+    this.validateImages(this.config.images);
+
+    // Checked up front so a missing container or markup throws from the constructor
+    const container = this.resolveContainer();
+    if (!container) {
+      throw new Error(`ParallaxCarousel: Container not found: ${this.config.container}`);
+    }
+    if (
+      this.config.images.length === 0 &&
+      ParallaxCarousel.readImagesFromMarkup(container).length === 0
+    ) {
+      throw new Error(
+        "ParallaxCarousel: images array is required unless the container holds <img> markup"
+      );
     }
+  }
+
+  resolveContainer() {
+    return typeof this.config.container === "string"
+      ? document.querySelector(this.config.container)
+      : this.config.container;
+  }
 
-    // Validate each image has required properties
-    this.config.images.forEach((img, index) => {
+  /**
+   * Validate each image has required properties
+   */
+  validateImages(images) {
+    images.forEach((img, index) => {
       if (!img.src) {
         throw new Error(`ParallaxCarousel: Image at index ${index} is missing 'src' property`);
       }
@@ -180,18 +436,19 @@ export class ParallaxCarousel {
       return;
     }
 
-    // Get or create container
-    this.container =
-      typeof this.config.container === "string"
-        ? document.querySelector(this.config.container)
-        : this.config.container;
+    // The container was checked by validateConfig
+    this.container = this.resolveContainer();
 
-    if (!this.container) {
-      throw new Error(`ParallaxCarousel: Container not found: ${this.config.container}`);
+    // Hydrate from server-rendered markup when no images were passed
+    if (this.config.images.length === 0) {
+      this.config.images = ParallaxCarousel.readImagesFromMarkup(this.container);
+      this.hideSourceMarkup();
     }
 
     // Add carousel container class for styling
     this.container.classList.add("parallax-carousel-container");
+    this.container.classList.toggle("parallax-carousel-vertical", this.isVertical());
+    this.direction = this.resolveDirection();
 
     // Calculate dimensions
     this.calculateDimensions();
@@ -206,49 +463,214 @@ export class ParallaxCarousel {
 
     // Initialize animation systems
     this.initializeSystems();
+    this.setupReducedMotion();
+
+    // Show the loading indicator while images load
+    this.state.isLoading = true;
+    if (this.config.loading.showIndicator) {
+      this.crossAnimation.startSpinning();
+      this.startAnimation();
+    }
 
     // Load images
     await this.loadImages();
 
+    if (this.state.isDestroyed) return this;
+
+    if (this.accessibility) {
+      this.accessibility.render(this.images);
+    }
+
     // Calculate boundaries
     this.calculateBoundaries();
 
+    // Start at the image and zoom state from the URL
+    if (this.config.deepLink.enabled) {
+      this.restoreDeepLink();
+    }
+
     // Setup event listeners
     this.setupEventListeners();
 
-    // Start animation loop
-    this.startAnimation();
+    // Start animation loop, or hand over from the loading indicator
+    this.state.isLoading = false;
+    if (this.animationFrameId === null) {
+      this.startAnimation();
+    } else {
+      this.crossAnimation.stopSpinning();
+    }
 
     this.state.isInitialized = true;
 
-    // Call onInit callback
-    if (this.config.callbacks.onInit) {
-      this.config.callbacks.onInit(this);
-    }
+    this.emit("init", { carousel: this });
+    return this;
+  }
+
+  /**
+   * Hide the markup the images were read from. It stays in the document for
+   * crawlers and is shown again when the carousel is destroyed.
+   */
+  hideSourceMarkup() {
+    this.sourceElements = Array.from(this.container.children);
+    this.sourceElements.forEach((element) => {
+      element.classList.add("parallax-carousel-source");
+
+      // The accessibility layer describes the images, avoid announcing them twice
+      if (this.config.accessibility.enabled) {
+        element.inert = true;
+      }
+    });
+  }
+
+  /**
+   * Route events to the single-slot callbacks of the configuration
+   */
+  setupCallbackAdapters() {
+    const callbacks = () => this.config.callbacks;
+
+    this.on("init", ({ carousel }) => callbacks().onInit && callbacks().onInit(carousel));
+    this.on("destroy", ({ carousel }) => callbacks().onDestroy && callbacks().onDestroy(carousel));
+    this.on("slide", ({ fromIndex, toIndex }) => {
+      if (callbacks().onSlide) callbacks().onSlide(fromIndex, toIndex);
+    });
+    this.on("progress", ({ loaded, total }) => {
+      if (callbacks().onProgress) callbacks().onProgress(loaded, total);
+    });
+    this.on("imageerror", ({ index, src }) => {
+      if (callbacks().onImageError) callbacks().onImageError(index, src);
+    });
+    this.on("zoomstart", ({ index, direction }) => {
+      if (direction === "in" && callbacks().onZoomIn) callbacks().onZoomIn(index);
+      if (direction === "out" && callbacks().onZoomOut) callbacks().onZoomOut(index);
+    });
   }
 
   /**
    * Initialize animation systems
    */
   initializeSystems() {
-    this.indexAnimation = new IndexAnimationSystem({ style: "clipped" });
-    this.zoomSystem = new ImageZoomSystem();
-    this.miniSliderSystem = new MiniSliderSystem();
-    this.crossAnimation = new CrossAnimationSystem();
+    const { orientation } = this.config.features;
+    const direction = this.direction;
+    this.indexAnimation = new IndexAnimationSystem({ style: "clipped", direction });
+    this.zoomSystem = new ImageZoomSystem({
+      viewport: this.viewport,
+      orientation,
+      direction,
+      deepZoom: this.config.deepZoom,
+      drawImage: (ctx, image, rect) => this.drawImageContent(image, rect),
+    });
+    this.miniSliderSystem = new MiniSliderSystem({
+      viewport: this.viewport,
+      orientation,
+      direction,
+    });
+    this.crossAnimation = new CrossAnimationSystem({ orientation });
+    this.autoplaySystem = new AutoplaySystem(this.config.autoplay);
+    this.physics = createSliderPhysics(this.config.animations.physics);
 
     if (this.config.features.showTitles) {
-      this.titleAnimation = new TitleAnimationSystem();
+      this.titleAnimation = new TitleAnimationSystem(this.titleContainer);
+    }
+
+    if (this.config.autoplay.enabled) {
+      this.autoplaySystem.play();
+    }
+
+    if (this.config.accessibility.enabled) {
+      this.accessibility = new AccessibilitySystem(this.container, this.config.accessibility);
     }
 
     this.crossAnimation.showCenter();
   }
 
+  isVertical() {
+    return this.config.features.orientation === "vertical";
+  }
+
+  /**
+   * Switch the layout and the animation systems to the configured orientation
+   */
+  applyOrientation() {
+    const { orientation } = this.config.features;
+
+    this.container.classList.toggle("parallax-carousel-vertical", this.isVertical());
+    this.zoomSystem.setOrientation(orientation);
+    this.miniSliderSystem.setOrientation(orientation);
+    this.crossAnimation.setOrientation(orientation);
+  }
+
+  /**
+   * Resolve the configured direction, 'auto' reads the container's CSS direction
+   */
+  resolveDirection() {
+    const { direction } = this.config.features;
+    if (direction !== "auto") return direction === "rtl" ? "rtl" : "ltr";
+
+    return window.getComputedStyle(this.container).direction === "rtl" ? "rtl" : "ltr";
+  }
+
+  /**
+   * Whether the slider runs from right to left
+   */
+  isRtl() {
+    return !this.isVertical() && this.direction === "rtl";
+  }
+
+  applyDirection() {
+    this.direction = this.resolveDirection();
+
+    this.indexAnimation.setDirection(this.direction);
+    this.zoomSystem.setDirection(this.direction);
+    this.miniSliderSystem.setDirection(this.direction);
+    if (this.titleContainer) {
+      this.titleContainer.dir = this.direction;
+    }
+  }
+
+  /**
+   * Follow the prefers-reduced-motion media query unless the config overrides it
+   */
+  setupReducedMotion() {
+    this.handleReducedMotionChange = () => this.applyReducedMotion();
+
+    if (typeof window.matchMedia === "function") {
+      this.reducedMotionQuery = window.matchMedia("(prefers-reduced-motion: reduce)");
+      this.reducedMotionQuery.addEventListener("change", this.handleReducedMotionChange);
+    }
+
+    this.applyReducedMotion();
+  }
+
+  /**
+   * Switch the animation systems between their regular motion and the
+   * reduced variants (no parallax, direct snapping, cross-fades)
+   */
+  applyReducedMotion() {
+    const setting = this.config.animations.reducedMotion;
+    const isReducedMotion =
+      setting === "auto"
+        ? !!(this.reducedMotionQuery && this.reducedMotionQuery.matches)
+        : !!setting;
+
+    this.state.isReducedMotion = isReducedMotion;
+    this.zoomSystem.setReducedMotion(isReducedMotion);
+    this.miniSliderSystem.setReducedMotion(isReducedMotion);
+    if (this.titleAnimation) {
+      this.titleAnimation.setReducedMotion(isReducedMotion);
+    }
+  }
+
   /**
    * Setup title container for title animations
    */
   setupTitleContainer() {
     this.titleContainer = document.createElement("ul");
-    this.titleContainer.id = "title-list";
+    this.titleContainer.className = "parallax-carousel-titles";
+    this.titleContainer.dir = this.direction;
+    if (this.config.accessibility.enabled) {
+      // Titles are visual only, the accessibility layer describes the images
+      this.titleContainer.setAttribute("aria-hidden", "true");
+    }
     this.titleContainer.style.cssText = `
       position: absolute;
       top: 0;
@@ -261,21 +683,30 @@ export class ParallaxCarousel {
       pointer-events: none;
     `;
 
-    // Create title elements for each image
+    this.renderTitleList();
+    this.container.appendChild(this.titleContainer);
+  }
+
+  /**
+   * Create title elements for each image
+   */
+  renderTitleList() {
+    this.titleContainer.replaceChildren();
+
     this.config.images.forEach((image) => {
       const li = document.createElement("li");
       li.style.cssText = `
         position: absolute;
         left: 50%;
-        top: calc(50% - 2.0833vw);
+        top: calc(50% - var(--parallax-carousel-width, 100vw) * 0.020833);
         transform: translateX(-50%);
       `;
 
       const titleDiv = document.createElement("div");
       titleDiv.className = "title";
       titleDiv.style.cssText = `
-        font-size: 3.125vw;
-        line-height: 4.2708vw;
+        font-size: calc(var(--parallax-carousel-width, 100vw) * 0.03125);
+        line-height: calc(var(--parallax-carousel-width, 100vw) * 0.042708);
         letter-spacing: 0.015em;
         overflow: hidden;
         pointer-events: none;
@@ -284,6 +715,9 @@ export class ParallaxCarousel {
       const titleLink = document.createElement("a");
       titleLink.textContent = image.title || "";
       titleLink.href = image.href || "#";
+      if (this.config.accessibility.enabled) {
+        titleLink.tabIndex = -1;
+      }
       titleLink.style.cssText = `
         display: block;
         color: inherit;
@@ -298,19 +732,24 @@ export class ParallaxCarousel {
       li.appendChild(titleDiv);
       this.titleContainer.appendChild(li);
     });
-
-    this.container.appendChild(this.titleContainer);
   }
 
   /**
    * Calculate responsive dimensions
    */
   calculateDimensions() {
-    const viewportWidth = window.innerWidth;
-    const viewportHeight = window.innerHeight;
-
-    const widthScale = viewportWidth / this.config.baseViewport.width;
-    const heightScale = viewportHeight / this.config.baseViewport.height;
+    // Update in place, the animation systems share the viewport object
+    Object.assign(this.viewport, this.measureViewport());
+    const viewportWidth = this.viewport.width;
+    const viewportHeight = this.viewport.height;
+
+    // Vertical layouts are designed for the base viewport turned upright
+    const baseViewport = this.config.baseViewport;
+    const baseWidth = this.isVertical() ? baseViewport.height : baseViewport.width;
+    const baseHeight = this.isVertical() ? baseViewport.width : baseViewport.height;
+
+    const widthScale = viewportWidth / baseWidth;
+    const heightScale = viewportHeight / baseHeight;
     const scale = Math.min(widthScale, heightScale);
 
     this.config.dimensionScale = scale;
@@ -326,258 +765,1011 @@ export class ParallaxCarousel {
     }
   }
 
+  /**
+   * Measure the container box, falling back to the window for containers
+   * without a size of their own
+   */
+  measureViewport() {
+    return {
+      width: this.container.clientWidth || window.innerWidth,
+      height: this.container.clientHeight || window.innerHeight,
+    };
+  }
+
   /**
    * Setup canvas element
    */
   setupCanvas() {
     this.canvas = document.createElement("canvas");
+    this.canvas.setAttribute("aria-hidden", "true");
+    // Text on the canvas is positioned explicitly, mirrored by the systems for rtl
+    this.canvas.setAttribute("dir", "ltr");
     this.ctx = this.canvas.getContext("2d", { alpha: false });
     this.container.appendChild(this.canvas);
     this.resizeCanvas();
   }
 
   /**
-   * Resize canvas to match viewport
+   * Resize canvas to match the container
    */
   resizeCanvas() {
+    this.calculateDimensions();
+
+    const { width, height } = this.viewport;
     const dpr = window.devicePixelRatio || 1;
-    this.canvas.width = window.innerWidth * dpr;
-    this.canvas.height = window.innerHeight * dpr;
-    this.canvas.style.width = `${window.innerWidth}px`;
-    this.canvas.style.height = `${window.innerHeight}px`;
+    this.canvas.width = width * dpr;
+    this.canvas.height = height * dpr;
+    this.canvas.style.width = `${width}px`;
+    this.canvas.style.height = `${height}px`;
     this.ctx.scale(dpr, dpr);
 
-    this.calculateDimensions();
+    // Lets the stylesheet size the titles relative to the container
+    this.container.style.setProperty("--parallax-carousel-width", `${width}px`);
+
+    this.emit("resize", { width, height });
 
     if (this.images.length) {
-      this.images = this.images.map((img) => {
-        const aspectRatio = img.element.width / img.element.height;
-        const baseHeight = this.config.scaledDimensions.maskHeight;
-        const baseWidth = baseHeight * aspectRatio;
-        const scaledHeight = baseHeight * this.config.scaledDimensions.imageZoom;
-        const scaledWidth = baseWidth * this.config.scaledDimensions.imageZoom;
-
-        return {
-          ...img,
-          width: scaledWidth,
-          height: scaledHeight,
-        };
+      // Update in place, pending loads keep a reference to the image objects
+      this.images.forEach((img) => {
+        Object.assign(img, this.getScaledImageSize(img.aspectRatio));
       });
 
       this.calculateBoundaries();
     }
   }
 
+  /**
+   * Size of an image in the slider, covering the mask height times the zoom factor
+   */
+  getScaledImageSize(aspectRatio) {
+    const baseHeight = this.config.scaledDimensions.maskHeight;
+    const baseWidth = baseHeight * aspectRatio;
+
+    return {
+      width: baseWidth * this.config.scaledDimensions.imageZoom,
+      height: baseHeight * this.config.scaledDimensions.imageZoom,
+    };
+  }
+
   /**
    * Load images
    */
   async loadImages() {
-    const imagePromises = this.config.images.map((imageConfig, index) => {
-      return new Promise((resolve) => {
-        const img = new Image();
-        img.src = imageConfig.src;
-        img.onload = () => {
-          const aspectRatio = img.width / img.height;
-          const baseHeight = this.config.scaledDimensions.maskHeight;
-          const baseWidth = baseHeight * aspectRatio;
-          const scaledHeight = baseHeight * this.config.scaledDimensions.imageZoom;
-          const scaledWidth = baseWidth * this.config.scaledDimensions.imageZoom;
-
-          resolve({
-            element: img,
-            width: scaledWidth,
-            height: scaledHeight,
-            aspectRatio,
-            config: imageConfig, // Store original config
-          });
-        };
-        img.onerror = () => {
-          console.error(`Failed to load image: ${imageConfig.src}`);
-          resolve(null);
-        };
-      });
-    });
-
-    const loadedImages = await Promise.all(imagePromises);
-    this.images = loadedImages.filter((img) => img !== null);
+    this.images = this.createImageList(this.config.images);
 
     if (this.zoomSystem) {
-      this.zoomSystem.initStageSystem(this.images.length);
+      this.zoomSystem.initStageSystem(this.images.length, { loop: this.config.features.loop });
+    }
+
+    // Lazy carousels only wait for the images around the start position
+    if (this.config.loading.lazy) {
+      await Promise.all(this.updateImageLoading());
+    } else {
+      await this.preloadImages(this.images);
     }
   }
 
   /**
-   * Calculate scroll boundaries
+   * Create image entries for a list of image configs and load them
    */
-  calculateBoundaries() {
-    const totalWidth =
-      (this.images.length - 1) *
-      (this.config.scaledDimensions.maskWidth + this.config.scaledDimensions.maskGap);
-    this.state.minScroll = 0;
-    this.state.maxScroll = totalWidth;
+  async loadImageList(imageConfigs, loadedImages = []) {
+    const images = this.createImageList(imageConfigs, loadedImages);
 
-    this.state.currentPosition = Math.max(
-      this.state.minScroll,
-      Math.min(this.state.maxScroll, this.state.currentPosition)
-    );
-    this.state.smoothPosition = this.state.currentPosition;
+    if (!this.config.loading.lazy) {
+      await this.preloadImages(images);
+    }
+    return images;
   }
 
   /**
-   * Setup event listeners
+   * Create image entries for a list of image configs. Entries that already
+   * exist (matched by config object or src) are reused instead of being
+   * downloaded again.
    */
-  setupEventListeners() {
-    // Bind event handlers to preserve 'this' context
-    this.boundHandlers = {
-      pointerDown: this.handlePointerDown.bind(this),
-      pointerMove: this.handlePointerMove.bind(this),
-      pointerUp: this.handlePointerUp.bind(this),
-      wheel: this.handleWheel.bind(this),
-      keyDown: this.handleKeyDown.bind(this),
-      resize: null,
-    };
+  createImageList(imageConfigs, loadedImages = []) {
+    return imageConfigs.map((imageConfig) => {
+      const existing =
+        loadedImages.find((img) => img.config === imageConfig) ||
+        loadedImages.find((img) => img.config.src === imageConfig.src);
+      if (existing) {
+        existing.config = imageConfig;
+        existing.candidates = this.parseImageCandidates(imageConfig);
+        if (imageConfig.placeholder !== existing.placeholderSource) {
+          existing.placeholder = this.createPlaceholder(imageConfig);
+          existing.placeholderSource = imageConfig.placeholder;
+        }
+        // Give failed images another chance
+        if (existing.status === "error") {
+          existing.status = "idle";
+          existing.failedSources.clear();
+        }
+        return existing;
+      }
+      return this.createImageEntry(imageConfig);
+    });
+  }
 
-    // Resize handler with debounce
-    let resizeTimeout;
-    this.boundHandlers.resize = () => {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = setTimeout(() => this.resizeCanvas(), 250);
+  /**
+   * Load all images that are not loaded yet. Resolves once they are done,
+   * except for images with a placeholder which keep loading in the
+   * background. Failed images stay in the list and render as error tiles.
+   */
+  async preloadImages(images) {
+    await Promise.all(
+      images.map((image, index) => {
+        if (image.status === "loaded") return image;
+
+        const load = this.loadImage(image, index);
+        return image.placeholder ? image : load;
+      })
+    );
+  }
+
+  createImageEntry(imageConfig) {
+    const aspectRatio =
+      imageConfig.width && imageConfig.height
+        ? imageConfig.width / imageConfig.height
+        : this.config.loading.defaultAspectRatio;
+
+    return {
+      element: null,
+      ...this.getScaledImageSize(aspectRatio),
+      aspectRatio,
+      config: imageConfig, // Store original config
+      candidates: this.parseImageCandidates(imageConfig),
+      placeholder: this.createPlaceholder(imageConfig),
+      placeholderSource: imageConfig.placeholder,
+      status: "idle", // 'idle', 'loaded' or 'error'
+      isLoading: false,
+      currentSrc: null,
+      loadedWidth: 0,
+      failedSources: new Set(),
+      fadeStartTime: null,
     };
+  }
 
-    if (this.config.features.enableDrag) {
-      window.addEventListener("pointerdown", this.boundHandlers.pointerDown);
-      window.addEventListener("pointermove", this.boundHandlers.pointerMove);
-      window.addEventListener("pointerup", this.boundHandlers.pointerUp);
-    }
+  createPlaceholder(imageConfig) {
+    return imageConfig.placeholder ? new ImagePlaceholder(imageConfig.placeholder) : null;
+  }
 
-    if (this.config.features.enableWheel) {
-      window.addEventListener("wheel", this.boundHandlers.wheel, { passive: false });
+  /**
+   * Collect the sources of an image, sorted by width. The srcset can be a
+   * string with width descriptors ("a.jpg 800w, b.jpg 1600w") or an array of
+   * { src, width }. The plain src counts as the largest candidate.
+   */
+  parseImageCandidates(imageConfig) {
+    let candidates = [];
+
+    if (typeof imageConfig.srcset === "string") {
+      candidates = imageConfig.srcset
+        .split(",")
+        .map((entry) => entry.trim().split(/\s+/))
+        .filter(([src, descriptor]) => src && descriptor && descriptor.endsWith("w"))
+        .map(([src, descriptor]) => ({ src, width: parseInt(descriptor, 10) }));
+    } else if (Array.isArray(imageConfig.srcset)) {
+      candidates = imageConfig.srcset.map(({ src, width }) => ({ src, width }));
     }
 
-    if (this.config.features.enableKeyboard) {
-      window.addEventListener("keydown", this.boundHandlers.keyDown);
+    if (!candidates.some((candidate) => candidate.src === imageConfig.src)) {
+      candidates.push({ src: imageConfig.src, width: imageConfig.width || Infinity });
     }
 
-    window.addEventListener("resize", this.boundHandlers.resize);
+    return candidates.sort((a, b) => a.width - b.width);
   }
 
-  // ========================================
-  // EVENT HANDLERS
-  // ========================================
+  /**
+   * Pick the smallest candidate that is at least as wide as required,
+   * falling back to the largest one
+   */
+  selectImageCandidate(image, requiredWidth) {
+    const candidates = image.candidates.filter(
+      (candidate) => !image.failedSources.has(candidate.src)
+    );
+    if (!candidates.length) return null;
 
-  handlePointerDown(e) {
-    this.state.isPointerDown = true;
-    this.state.lastPointerX = e.clientX;
-    this.state.velocity = 0;
+    return (
+      candidates.find((candidate) => candidate.width >= requiredWidth) ||
+      candidates[candidates.length - 1]
+    );
   }
 
-  handlePointerMove(e) {
-    if (!this.state.isPointerDown) return;
+  /**
+   * Width in device pixels an image is displayed at
+   */
+  getRequiredImageWidth(image, isFullscreen = false) {
+    const dpr = window.devicePixelRatio || 1;
+    const displayWidth = isFullscreen ? this.getFullscreenRect(image).width : image.width;
+    return displayWidth * dpr;
+  }
 
-    const deltaX = this.state.lastPointerX - e.clientX;
-    if (this.checkDrag(deltaX)) {
-      if (this.config.features.showTitles && this.titleAnimation) {
-        this.titleAnimation.resetNextTitle();
+  /**
+   * Load the best candidate of an image for the required width. Failed
+   * candidates are skipped in favour of the next one, and images that have
+   * nothing to show yet finally try their fallbackSrc.
+   * @returns {Promise<Object>} The image entry, with status 'error' if nothing could be loaded
+   */
+  async loadImage(image, index, requiredWidth = this.getRequiredImageWidth(image)) {
+    const fallbackSrc = image.config.fallbackSrc;
+    const isFirstLoad = image.status === "idle";
+    let candidate = this.selectImageCandidate(image, requiredWidth);
+    let img = null;
+
+    image.isLoading = true;
+
+    while (candidate && !img) {
+      try {
+        img = await this.fetchImage(candidate.src);
+      } catch (error) {
+        image.failedSources.add(candidate.src);
+
+        // A failed upgrade keeps showing the image that is already loaded
+        if (image.element) break;
+        candidate = this.selectImageCandidate(image, requiredWidth);
       }
-      this.state.isDragging = true;
-      this.addVelocity(deltaX * this.config.animations.dragSensitivity);
-      this.state.lastPointerX = e.clientX;
+    }
 
-      if (this.zoomSystem.state.isActive && !this.zoomSystem.state.isZoomingOut) {
-        this.zoomSystem.zoomOut();
-        this.state.toSliderStartTransforms = {
-          images: this.state.currentTransforms.images.map((rect) => ({ ...rect })),
-          masks: this.state.currentTransforms.masks.map((rect) => ({ ...rect })),
-        };
-        this.miniSliderSystem.toSlider();
-        if (this.config.features.showTitles && this.titleAnimation) {
-          this.titleAnimation.hideTitle();
-        }
+    if (!img && !image.element && fallbackSrc && !image.failedSources.has(fallbackSrc)) {
+      candidate = { src: fallbackSrc, width: Infinity };
+      try {
+        img = await this.fetchImage(fallbackSrc);
+      } catch (error) {
+        image.failedSources.add(fallbackSrc);
       }
     }
-  }
 
-  handlePointerUp(e) {
-    if (!this.state.isDragging) {
-      // Handle clicking in fullscreen mode
-      if (this.zoomSystem.isActive()) {
-        if (!this.zoomSystem.state.isZoomingOut) {
-          for (let i = 0; i < this.state.currentTransforms.masks.length; i++) {
-            if (this.isPointInRect(e.clientX, e.clientY, this.state.currentTransforms.masks[i])) {
-              if (this.config.features.showTitles && this.titleAnimation) {
-                this.titleAnimation.hideTitle();
-              }
-              if (i < this.zoomSystem.state.imageIndex) {
-                this.crossAnimation.rotateSideCrosses(-1);
-              } else if (i > this.zoomSystem.state.imageIndex) {
-                this.crossAnimation.rotateSideCrosses(1);
-              }
-              this.zoomSystem.jumpToImage(i);
-              this.updateTargetPosition(i);
-              if (this.config.features.showTitles && this.titleAnimation) {
-                this.titleAnimation.setNextTitle(i);
-              }
-              this.state.isDragging = false;
-              this.state.isPointerDown = false;
-              return;
-            }
-          }
-        }
+    image.isLoading = false;
 
-        if (e.clientX < window.innerWidth / 2) {
-          const newIndex = this.zoomSystem.state.imageIndex - 1;
-          this.slideLeft(newIndex);
-        } else {
-          const newIndex = this.zoomSystem.state.imageIndex + 1;
-          this.slideRight(newIndex);
-        }
+    if (!img) {
+      if (!image.element) {
+        console.error(`Failed to load image: ${image.config.src}`);
+        image.status = "error";
+        this.emit("imageerror", { index, src: image.config.src });
       }
+      if (isFirstLoad) this.emitProgress(image);
+      return image;
+    }
 
-      // Handle 'normal' clicks for zooming to fullscreen mode
-      const imageIndex = this.getImageIndexAtPoint(e.clientX, e.clientY);
+    // Decode off the main thread so the first draw does not stall the animation
+    if (img.decode) await img.decode().catch(() => {});
 
-      if (imageIndex !== -1 && !this.zoomSystem.state.isZoomingIn) {
-        // Call custom callback if provided
-        if (this.config.callbacks.onImageClick) {
-          const shouldZoom = this.config.callbacks.onImageClick(
-            imageIndex,
-            this.images[imageIndex]
-          );
-          if (shouldZoom === false) {
-            this.state.isDragging = false;
-            this.state.isPointerDown = false;
-            return; // Callback prevented default zoom behavior
-          }
-        }
+    // Fade in images that have been visible as a placeholder
+    if (!image.element && this.animationFrameId !== null) {
+      image.fadeStartTime = performance.now();
+    }
 
-        this.updateTargetPosition(imageIndex);
+    const aspectRatio = img.width / img.height;
+    Object.assign(image, {
+      element: img,
+      ...this.getScaledImageSize(aspectRatio),
+      aspectRatio,
+      status: "loaded",
+      currentSrc: candidate.src,
+      loadedWidth: Number.isFinite(candidate.width) ? candidate.width : img.naturalWidth,
+    });
+    this.emit("imageload", { index, image });
+    if (isFirstLoad) this.emitProgress(image);
+    return image;
+  }
 
-        if (this.config.features.enableZoom) {
-          this.zoomSystem.zoomIn(imageIndex);
-          if (!this.state.currentTransforms.images.length) this.setupTransformations();
-          this.state.toMiniStartTransforms = {
-            images: this.state.currentTransforms.images.map((rect) => ({ ...rect })),
-            masks: this.state.currentTransforms.masks.map((rect) => ({ ...rect })),
-          };
-          this.miniSliderSystem.toMini(imageIndex);
-          if (this.config.features.showTitles && this.titleAnimation) {
-            this.titleAnimation.showTitle(imageIndex);
-          }
-          this.crossAnimation.resetRotation();
+  /**
+   * Report how many images of the current list have finished loading,
+   * successfully or not
+   */
+  emitProgress(image) {
+    if (!this.images.includes(image)) return;
 
-          if (this.config.callbacks.onZoomIn) {
-            this.config.callbacks.onZoomIn(imageIndex);
-          }
-        }
+    const loaded = this.images.filter((img) => img.status !== "idle").length;
+    this.emit("progress", { loaded, total: this.images.length });
+  }
+
+  /**
+   * Load a single source, retrying with exponential backoff
+   * @returns {Promise<HTMLImageElement>}
+   */
+  async fetchImage(src) {
+    const { retries, retryDelay } = this.config.loading;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.requestImage(src);
+      } catch (error) {
+        if (attempt >= retries || this.state.isDestroyed) throw error;
+        await new Promise((resolve) => setTimeout(resolve, retryDelay * Math.pow(2, attempt)));
+      }
+    }
+  }
+
+  requestImage(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error(`Failed to load image: ${src}`));
+      img.src = src;
+    });
+  }
+
+  /**
+   * Start loading images that came into range and upgrade images that are
+   * displayed larger than their loaded candidate
+   * @returns {Array<Promise>} Loads started in this call
+   */
+  updateImageLoading() {
+    const loads = [];
+    const isZoomed = this.zoomSystem.isActive();
+    const zoomedIndex = this.zoomSystem.state.imageIndex;
+    const range =
+      this.getViewportLength() / 2 +
+      this.getMaskLength() / 2 +
+      this.config.loading.preloadWindow * this.getSlideSpacing();
+
+    this.images.forEach((image, index) => {
+      if (image.isLoading || image.status === "error") return;
+
+      // The zoomed image and its neighbours are shown fullscreen
+      const isFullscreen =
+        isZoomed &&
+        [zoomedIndex - 1, zoomedIndex, zoomedIndex + 1].some(
+          (i) => (this.config.features.loop ? this.wrapIndex(i) : i) === index
+        );
+      const requiredWidth = this.getRequiredImageWidth(image, isFullscreen);
+
+      if (image.status === "idle") {
+        const isInRange = Math.abs(this.getSlideOffset(index)) <= range;
+        if (!this.config.loading.lazy || isInRange) {
+          loads.push(this.loadImage(image, index, requiredWidth));
+        } else if (isZoomed) {
+          // Only shown as a thumbnail in the mini slider for now
+          const miniWidth = this.miniSliderSystem.config.dimensions.miniWidth;
+          loads.push(this.loadImage(image, index, miniWidth * (window.devicePixelRatio || 1)));
+        }
+        return;
+      }
+
+      const candidate = this.selectImageCandidate(image, requiredWidth);
+      if (candidate && candidate.src !== image.currentSrc && candidate.width > image.loadedWidth) {
+        loads.push(this.loadImage(image, index, requiredWidth));
+      }
+    });
+
+    return loads;
+  }
+
+  /**
+   * Swap in a new list of loaded images while keeping the centered (or
+   * zoomed) image in place
+   */
+  applyImages(images) {
+    const spacing = this.getSlideSpacing();
+    const isZoomed = this.zoomSystem.isActive();
+    const anchorIndex = isZoomed ? this.zoomSystem.state.imageIndex : this.getCurrentIndex();
+    const anchorConfig = this.images[anchorIndex] && this.images[anchorIndex].config;
+
+    let newIndex = images.findIndex((img) => img.config === anchorConfig);
+    if (newIndex === -1 && anchorConfig) {
+      newIndex = images.findIndex((img) => img.config.src === anchorConfig.src);
+    }
+    if (newIndex === -1) {
+      newIndex = Math.min(anchorIndex, images.length - 1);
+    }
+
+    this.images = images;
+
+    // Shift all positions so the anchor image stays in the center slot
+    const shift = (newIndex - anchorIndex) * spacing;
+    this.state.currentPosition += shift;
+    this.state.smoothPosition += shift;
+    if (this.state.targetPosition !== null) {
+      this.state.targetPosition += shift;
+    }
+    this.calculateBoundaries();
+
+    this.zoomSystem.initStageSystem(images.length, { loop: this.config.features.loop });
+    this.state.currentTransforms = { images: [], masks: [] };
+
+    if (isZoomed) {
+      this.zoomSystem.setImage(newIndex);
+      this.miniSliderSystem.state.zoomedImageIndex = newIndex;
+      this.setupTransformations();
+      const transforms = {
+        images: this.state.currentTransforms.images.map((rect) => ({ ...rect })),
+        masks: this.state.currentTransforms.masks.map((rect) => ({ ...rect })),
+      };
+      this.state.toMiniStartTransforms = transforms;
+      this.state.toSliderStartTransforms = transforms;
+    }
+
+    if (this.accessibility) {
+      this.accessibility.render(images);
+    }
+
+    if (this.config.features.showTitles && this.titleAnimation) {
+      this.renderTitleList();
+      this.titleAnimation.initialize();
+      if (isZoomed && !this.zoomSystem.state.isZoomingOut) {
+        this.titleAnimation.showTitle(newIndex, 0);
+      }
+    }
+  }
+
+  /**
+   * Load and show a new image config list
+   */
+  async updateImageList(imageConfigs) {
+    if (!imageConfigs || imageConfigs.length === 0) {
+      throw new Error("ParallaxCarousel: images array is required and must not be empty");
+    }
+    this.validateImages(imageConfigs);
+
+    const version = ++this.state.imageListVersion;
+    this.state.pendingImageConfigs = imageConfigs;
+    const images = await this.loadImageList(imageConfigs, this.images);
+
+    if (this.state.isDestroyed) return;
+
+    // A newer update was requested while loading, it already includes this one
+    if (version !== this.state.imageListVersion) {
+      await this.waitUntil(() => this.state.pendingImageConfigs === null);
+      return;
+    }
+
+    this.state.pendingImageConfigs = null;
+    this.config.images = imageConfigs;
+    this.applyImages(images);
+  }
+
+  /**
+   * Image list the carousel will show once pending updates are loaded
+   */
+  getPendingImageConfigs() {
+    return this.state.pendingImageConfigs || this.config.images;
+  }
+
+  /**
+   * Calculate scroll boundaries
+   */
+  calculateBoundaries() {
+    this.state.minScroll = 0;
+    this.state.maxScroll = (this.images.length - 1) * this.getSlideSpacing();
+
+    // Looping sliders have no hard boundaries to clamp against
+    if (this.config.features.loop) return;
+
+    this.state.currentPosition = Math.max(
+      this.state.minScroll,
+      Math.min(this.state.maxScroll, this.state.currentPosition)
+    );
+    this.state.smoothPosition = this.state.currentPosition;
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Bind event handlers to preserve 'this' context
+    this.boundHandlers = {
+      pointerDown: this.handlePointerDown.bind(this),
+      pointerMove: this.handlePointerMove.bind(this),
+      pointerUp: this.handlePointerUp.bind(this),
+      pointerCancel: this.handlePointerCancel.bind(this),
+      wheel: this.handleWheel.bind(this),
+      // Grouped carousels receive keys through their group
+      keyDown: (e) => {
+        if (!this.group) this.handleKeyDown(e);
+      },
+      pointerEnter: () => this.autoplaySystem.setHovered(true),
+      pointerLeave: () => this.autoplaySystem.setHovered(false),
+      visibilityChange: () => this.autoplaySystem.setHidden(document.hidden),
+      popState: this.handlePopState.bind(this),
+      fullscreenChange: this.handleFullscreenChange.bind(this),
+      resize: null,
+    };
+
+    // Resize handler with debounce
+    this.boundHandlers.resize = () => {
+      clearTimeout(this.state.resizeTimeout);
+      this.state.resizeTimeout = setTimeout(() => this.resizeCanvas(), 250);
+    };
+
+    if (this.config.features.enableDrag) {
+      this.container.addEventListener("pointerdown", this.boundHandlers.pointerDown);
+      this.container.addEventListener("pointermove", this.boundHandlers.pointerMove);
+      this.container.addEventListener("pointerup", this.boundHandlers.pointerUp);
+      this.container.addEventListener("pointercancel", this.boundHandlers.pointerCancel);
+    }
+
+    if (this.config.features.enableWheel) {
+      this.container.addEventListener("wheel", this.boundHandlers.wheel, { passive: false });
+    }
+
+    if (this.config.features.enableKeyboard) {
+      this.keyboardTarget = this.getKeyboardTarget();
+      if (this.keyboardTarget) {
+        this.keyboardTarget.addEventListener("keydown", this.boundHandlers.keyDown);
+      }
+    }
+
+    if (this.config.autoplay.pauseOnHover) {
+      this.container.addEventListener("pointerenter", this.boundHandlers.pointerEnter);
+      this.container.addEventListener("pointerleave", this.boundHandlers.pointerLeave);
+    }
+
+    document.addEventListener("visibilitychange", this.boundHandlers.visibilityChange);
+    document.addEventListener("fullscreenchange", this.boundHandlers.fullscreenChange);
+
+    window.addEventListener("popstate", this.boundHandlers.popState);
+
+    // Follow the container size, which can change without the window resizing
+    if (typeof ResizeObserver !== "undefined") {
+      this.resizeObserver = new ResizeObserver(() => {
+        const { width, height } = this.measureViewport();
+        if (width !== this.viewport.width || height !== this.viewport.height) {
+          this.boundHandlers.resize();
+        }
+      });
+      this.resizeObserver.observe(this.container);
+    } else {
+      window.addEventListener("resize", this.boundHandlers.resize);
+    }
+  }
+
+  /**
+   * Resolve the element receiving key events. The container is made
+   * focusable so keys only control the carousel while focus is inside it.
+   */
+  getKeyboardTarget() {
+    const target = this.config.keyboardTarget;
+
+    if (!target) {
+      if (!this.container.hasAttribute("tabindex")) {
+        this.container.tabIndex = 0;
+        this.state.hasAddedTabIndex = true;
+      }
+      return this.container;
+    }
+
+    const element = typeof target === "string" ? document.querySelector(target) : target;
+    if (!element) {
+      console.warn(`ParallaxCarousel: Keyboard target not found: ${target}`);
+    }
+    return element;
+  }
+
+  /**
+   * Convert the client coordinates of a pointer event to canvas coordinates
+   */
+  getCanvasPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  handlePointerDown(e) {
+    // Keep receiving move and up events when a drag leaves the container
+    this.container.setPointerCapture(e.pointerId);
+
+    this.autoplaySystem.notifyInteraction();
+    this.state.pointers.set(e.pointerId, this.getCanvasPoint(e));
+
+    // A second finger on the fullscreen image starts pinching
+    if (this.state.pointers.size === 2 && this.isDeepZoomAvailable()) {
+      this.startPinch();
+    }
+    if (this.state.pointers.size > 1) return;
+
+    this.state.isPointerDown = true;
+    this.state.pointerDownPoint = this.getCanvasPoint(e);
+    this.state.lastPointerPosition = this.getPointerPosition(e);
+    this.state.velocity = 0;
+  }
+
+  /**
+   * Whether the fullscreen image can be zoomed and panned
+   */
+  isDeepZoomAvailable() {
+    return this.config.features.enableDeepZoom && this.zoomSystem.isFullscreen();
+  }
+
+  startPinch() {
+    const [a, b] = [...this.state.pointers.values()];
+    this.state.pinch = {
+      distance: Math.hypot(b.x - a.x, b.y - a.y),
+      scale: this.zoomSystem.deepZoom.state.targetScale,
+    };
+    this.state.isZoomGesture = true;
+    this.state.isDragging = false;
+  }
+
+  updatePinch(previousCenter) {
+    const [a, b] = [...this.state.pointers.values()];
+    const center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    const distance = Math.hypot(b.x - a.x, b.y - a.y);
+    const { deepZoom } = this.zoomSystem;
+
+    deepZoom.zoomTo((this.state.pinch.scale * distance) / this.state.pinch.distance, center, true);
+    deepZoom.pan(center.x - previousCenter.x, center.y - previousCenter.y);
+  }
+
+  getPointersCenter() {
+    const points = [...this.state.pointers.values()];
+    return {
+      x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+      y: points.reduce((sum, point) => sum + point.y, 0) / points.length,
+    };
+  }
+
+  /**
+   * Pointer coordinate along the slide axis
+   */
+  getPointerPosition(e) {
+    if (this.isVertical()) return e.clientY;
+    return this.isRtl() ? -e.clientX : e.clientX;
+  }
+
+  handlePointerMove(e) {
+    const previousPoint = this.state.pointers.get(e.pointerId);
+    if (!this.state.isPointerDown || !previousPoint) return;
+    this.autoplaySystem.notifyInteraction();
+
+    const previousCenter = this.getPointersCenter();
+    const point = this.getCanvasPoint(e);
+    this.state.pointers.set(e.pointerId, point);
+
+    if (this.state.pinch) {
+      if (this.state.pointers.size === 2) this.updatePinch(previousCenter);
+      return;
+    }
+    if (this.state.pointers.size > 1) return;
+
+    // Drags pan a deep zoomed image instead of leaving fullscreen
+    if (this.isDeepZoomAvailable() && this.zoomSystem.deepZoom.isZoomed()) {
+      this.zoomSystem.deepZoom.drag(point.x - previousPoint.x, point.y - previousPoint.y);
+
+      // Small movements still count as a tap
+      const { pointerDownPoint } = this.state;
+      if (this.checkDrag(Math.hypot(point.x - pointerDownPoint.x, point.y - pointerDownPoint.y))) {
+        this.state.isZoomGesture = true;
+      }
+      return;
+    }
+
+    if (this.state.isDismissing || this.checkDismissGesture(point)) {
+      const { pointerDownPoint } = this.state;
+      this.zoomSystem.dragDismiss(point.x - pointerDownPoint.x, point.y - pointerDownPoint.y);
+      return;
+    }
+
+    const delta = this.state.lastPointerPosition - this.getPointerPosition(e);
+    if (this.checkDrag(delta)) {
+      if (this.config.features.showTitles && this.titleAnimation) {
+        this.titleAnimation.resetNextTitle();
+      }
+      if (!this.state.isDragging) {
+        this.emit("dragstart", { index: this.state.centerIndex });
+      }
+      this.state.isDragging = true;
+      this.addVelocity(delta * this.config.animations.dragSensitivity);
+      this.state.lastPointerPosition = this.getPointerPosition(e);
+
+      if (this.zoomSystem.state.isActive && !this.zoomSystem.state.isZoomingOut) {
+        this.startZoomOut();
+      }
+    }
+  }
+
+  handlePointerUp(e) {
+    if (!this.state.pointers.delete(e.pointerId)) return;
+    this.state.pinch = null;
+
+    // Wait for the last pointer of a multi-touch gesture
+    if (this.state.pointers.size > 0) return;
+    this.zoomSystem.deepZoom.release();
+
+    if (this.state.isZoomGesture) {
+      this.state.isZoomGesture = false;
+      this.state.isDragging = false;
+      this.state.isPointerDown = false;
+      return;
+    }
+
+    if (this.state.isDismissing) {
+      this.finishDismiss();
+      this.state.isPointerDown = false;
+      return;
+    }
+
+    if (this.state.isDragging) {
+      this.emit("dragend", { index: this.state.centerIndex });
+    }
+
+    if (!this.state.isDragging) {
+      const point = this.getCanvasPoint(e);
+
+      // Handle clicking in fullscreen mode
+      if (this.zoomSystem.isActive()) {
+        if (!this.zoomSystem.state.isZoomingOut) {
+          for (let i = 0; i < this.state.currentTransforms.masks.length; i++) {
+            if (this.isPointInRect(point.x, point.y, this.state.currentTransforms.masks[i])) {
+              this.jumpToImage(i);
+              this.state.isDragging = false;
+              this.state.isPointerDown = false;
+              return;
+            }
+          }
+        }
+
+        if (this.handleFullscreenTap(point)) {
+          this.state.isPointerDown = false;
+          return;
+        }
+        this.slideFromPoint(point);
       }
+
+      // Handle 'normal' clicks for zooming to fullscreen mode
+      const imageIndex = this.getImageIndexAtPoint(point.x, point.y);
+
+      if (imageIndex !== -1 && !this.zoomSystem.state.isZoomingIn) {
+        // Call custom callback if provided
+        if (this.config.callbacks.onImageClick) {
+          const shouldZoom = this.config.callbacks.onImageClick(
+            imageIndex,
+            this.images[imageIndex]
+          );
+          if (shouldZoom === false) {
+            this.state.isDragging = false;
+            this.state.isPointerDown = false;
+            return; // Callback prevented default zoom behavior
+          }
+        }
+
+        this.updateTargetPosition(imageIndex);
+
+        if (this.config.features.enableZoom) {
+          this.startZoomIn(imageIndex);
+        }
+      }
+    }
+
+    this.state.isDragging = false;
+    this.state.isPointerDown = false;
+  }
+
+  /**
+   * End a gesture the browser took over without treating it as a click
+   */
+  handlePointerCancel(e) {
+    if (!this.state.pointers.delete(e.pointerId)) return;
+    this.state.pinch = null;
+    if (this.state.pointers.size > 0) return;
+
+    if (this.state.isDragging) {
+      this.emit("dragend", { index: this.state.centerIndex });
+    }
+    this.zoomSystem.deepZoom.release();
+    this.zoomSystem.releaseDismiss();
+    this.state.isZoomGesture = false;
+    this.state.isDismissing = false;
+    this.state.isDragging = false;
+    this.state.isPointerDown = false;
+  }
+
+  /**
+   * Start swiping the fullscreen image away once the pointer moved far
+   * enough, mostly across the slide axis
+   */
+  checkDismissGesture(point) {
+    if (!this.config.features.swipeToDismiss || !this.zoomSystem.isFullscreen()) return false;
+
+    const { pointerDownPoint } = this.state;
+    const dx = point.x - pointerDownPoint.x;
+    const dy = point.y - pointerDownPoint.y;
+    const along = this.isVertical() ? dy : dx;
+    const across = this.isVertical() ? dx : dy;
+    if (!this.checkDrag(across) || Math.abs(across) < Math.abs(along)) return false;
+
+    this.state.isDismissing = true;
+    return true;
+  }
+
+  /**
+   * Close fullscreen when the swipe went far enough, otherwise the image
+   * eases back into place
+   */
+  finishDismiss() {
+    this.state.isDismissing = false;
+    this.zoomSystem.releaseDismiss();
+
+    if (this.zoomSystem.getDismissProgress() >= this.config.animations.dismissThreshold) {
+      this.startZoomOut();
+    }
+  }
+
+  /**
+   * The back button closes fullscreen when it was opened with `features.history`
+   */
+  handlePopState() {
+    // The entry navigated to has its own URL, write the current image to it
+    this.state.deepLinkKey = null;
+    if (!this.state.hasHistoryEntry) return;
+
+    this.state.hasHistoryEntry = false;
+    this.zoomOut();
+  }
+
+  /**
+   * Resize right away when the container enters or leaves browser fullscreen
+   * instead of waiting for the debounced resize
+   */
+  handleFullscreenChange() {
+    const isFullscreen = this.isFullscreen();
+    if (isFullscreen === this.state.isBrowserFullscreen) return;
+
+    this.state.isBrowserFullscreen = isFullscreen;
+    this.resizeCanvas();
+    this.emit("fullscreenchange", { isFullscreen });
+  }
+
+  /**
+   * URL parameters holding the deep link, or null when the hash is used for
+   * something else like an anchor or a hash route
+   */
+  getDeepLinkParams() {
+    const { search, hash } = window.location;
+    if (this.config.deepLink.mode === "query") return new URLSearchParams(search);
+
+    const value = hash.slice(1);
+    return value === "" || HASH_PARAMS.test(value) ? new URLSearchParams(value) : null;
+  }
+
+  /**
+   * Image id for the URL, falling back to the 1-based position
+   */
+  getDeepLinkValue(index) {
+    const { id } = this.images[index].config;
+    return id !== undefined && id !== null ? String(id) : String(index + 1);
+  }
+
+  getImageIndexFromDeepLink(value) {
+    const index = this.images.findIndex((image) => String(image.config.id) === value);
+    if (index !== -1) return index;
+
+    if (/^\d+$/.test(value)) {
+      const position = parseInt(value, 10);
+      if (position >= 1 && position <= this.images.length) return position - 1;
     }
+    return -1;
+  }
 
-    this.state.isDragging = false;
-    this.state.isPointerDown = false;
+  /**
+   * Jump to the image in the URL and open it in fullscreen if requested
+   */
+  restoreDeepLink() {
+    const { param, zoomParam } = this.config.deepLink;
+    const params = this.getDeepLinkParams();
+    const value = params ? params.get(param) : null;
+    if (value === null) return;
+
+    const index = this.getImageIndexFromDeepLink(value);
+    if (index === -1) {
+      console.warn(`ParallaxCarousel: No image found for deep link "${value}"`);
+      return;
+    }
+
+    this.goToImage(index, { animate: false });
+
+    // The URL already describes the fullscreen view, don't push a second entry for it
+    if (params.get(zoomParam) === "1" && this.config.features.enableZoom) {
+      this.startZoomIn(index, { addHistoryEntry: false });
+    }
+  }
+
+  /**
+   * Write the centered or fullscreen image to the URL without adding history entries
+   */
+  updateDeepLink() {
+    if (!this.config.deepLink.enabled || this.images.length === 0) return;
+
+    const isZoomed = this.isZoomed();
+    const index = isZoomed ? this.zoomSystem.state.imageIndex : this.state.centerIndex;
+    const value = this.getDeepLinkValue(index);
+    const key = `${value}:${isZoomed}`;
+    if (key === this.state.deepLinkKey) return;
+    this.state.deepLinkKey = key;
+
+    const { mode, param, zoomParam } = this.config.deepLink;
+    const params = this.getDeepLinkParams();
+    if (!params) return;
+
+    // Leave the URL untouched until there is something to link to
+    if (!params.has(param) && index === 0 && !isZoomed) return;
+
+    params.set(param, value);
+    if (isZoomed) {
+      params.set(zoomParam, "1");
+    } else {
+      params.delete(zoomParam);
+    }
+
+    const url = new URL(window.location.href);
+    if (mode === "query") {
+      url.search = params.toString();
+    } else {
+      url.hash = params.toString();
+    }
+    if (url.href !== window.location.href) {
+      history.replaceState(history.state, "", url);
+    }
+  }
+
+  /**
+   * Wait for a second tap to toggle the deep zoom. A single tap moves to the
+   * previous or next image unless the image is zoomed in.
+   * @returns {boolean} Whether the tap was handled
+   */
+  handleFullscreenTap(point) {
+    const { doubleTapDelay } = this.config.deepZoom;
+    if (!this.isDeepZoomAvailable() || doubleTapDelay <= 0) return false;
+
+    if (this.state.pendingTap) {
+      clearTimeout(this.state.pendingTap);
+      this.state.pendingTap = null;
+      this.zoomSystem.deepZoom.toggleAt(point);
+      return true;
+    }
+
+    this.state.pendingTap = setTimeout(() => {
+      this.state.pendingTap = null;
+      if (!this.zoomSystem.deepZoom.isZoomed()) this.slideFromPoint(point);
+    }, doubleTapDelay);
+    return true;
+  }
+
+  /**
+   * Move to the previous or next fullscreen image depending on the tapped half
+   */
+  slideFromPoint(point) {
+    let isBefore = this.isVertical()
+      ? point.y < this.viewport.height / 2
+      : point.x < this.viewport.width / 2;
+    if (this.isRtl()) isBefore = !isBefore;
+
+    if (isBefore) {
+      this.slideLeft(this.zoomSystem.state.imageIndex - 1);
+    } else {
+      this.slideRight(this.zoomSystem.state.imageIndex + 1);
+    }
   }
 
   handleWheel(e) {
+    // Let the page scroll once the slider reached an end and the gesture continues outward
+    const delta = (this.isRtl() ? -e.deltaX : e.deltaX) + e.deltaY;
+    if (
+      !this.zoomSystem.state.isActive &&
+      !this.config.features.loop &&
+      ((delta < 0 && this.state.currentPosition <= this.state.minScroll) ||
+        (delta > 0 && this.state.currentPosition >= this.state.maxScroll))
+    ) {
+      return;
+    }
+
     e.preventDefault();
+    this.autoplaySystem.notifyInteraction();
+
+    // Trackpad pinches arrive as ctrl+wheel, scrolling pans a zoomed image
+    const { deepZoom } = this.zoomSystem;
+    if (this.isDeepZoomAvailable() && (e.ctrlKey || deepZoom.isZoomed())) {
+      if (e.ctrlKey) {
+        const scale =
+          deepZoom.state.targetScale * Math.exp(-e.deltaY * this.config.deepZoom.wheelSpeed);
+        deepZoom.zoomTo(scale, this.getCanvasPoint(e));
+      } else {
+        deepZoom.pan(-e.deltaX, -e.deltaY);
+      }
+      return;
+    }
+
     if (this.config.features.showTitles && this.titleAnimation) {
       this.titleAnimation.resetNextTitle();
     }
@@ -588,43 +1780,38 @@ export class ParallaxCarousel {
         !this.zoomSystem.state.isZoomingOut &&
         (this.checkScroll(e.deltaY) || this.checkScroll(e.deltaX))
       ) {
-        this.zoomSystem.zoomOut();
-        this.state.toSliderStartTransforms = {
-          images: this.state.currentTransforms.images.map((rect) => ({ ...rect })),
-          masks: this.state.currentTransforms.masks.map((rect) => ({ ...rect })),
-        };
-        this.miniSliderSystem.toSlider();
-        if (this.config.features.showTitles && this.titleAnimation) {
-          this.titleAnimation.hideTitle();
-        }
-
-        if (this.config.callbacks.onZoomOut) {
-          this.config.callbacks.onZoomOut(this.zoomSystem.state.imageIndex);
-        }
+        this.startZoomOut();
       }
 
       if (this.zoomSystem.state.isZoomingOut) {
-        const delta = (e.deltaX + e.deltaY) * this.config.animations.wheelSensitivity;
-        this.addVelocity(delta);
+        this.applyScrollInput(delta * this.config.animations.wheelSensitivity);
       }
     } else {
-      const delta = (e.deltaX + e.deltaY) * this.config.animations.wheelSensitivity;
-      this.addVelocity(delta);
+      this.applyScrollInput(delta * this.config.animations.wheelSensitivity);
     }
   }
 
   handleKeyDown(e) {
-    switch (e.key) {
+    // Leave text editing and browser shortcuts like ctrl+f to the page
+    if (e.ctrlKey || e.metaKey || e.altKey || isEditableTarget(e.target)) return;
+
+    const key =
+      (this.isVertical() && VERTICAL_ARROW_KEYS[e.key]) ||
+      (this.isRtl() && RTL_ARROW_KEYS[e.key]) ||
+      e.key;
+
+    switch (key) {
       case "ArrowDown":
       case "Down":
       case "ArrowLeft":
       case "Left":
         e.preventDefault();
+        this.autoplaySystem.notifyInteraction();
         if (this.miniSliderSystem.isInToMiniMode()) {
           const newIndex = this.zoomSystem.state.imageIndex - 1;
           this.slideLeft(newIndex);
         } else {
-          this.addVelocity(-this.config.animations.keyboardSensitivity);
+          this.applyScrollInput(-this.config.animations.keyboardSensitivity);
         }
         break;
       case "ArrowUp":
@@ -632,16 +1819,83 @@ export class ParallaxCarousel {
       case "ArrowRight":
       case "Right":
         e.preventDefault();
+        this.autoplaySystem.notifyInteraction();
         if (this.miniSliderSystem.isInToMiniMode()) {
           const newIndex = this.zoomSystem.state.imageIndex + 1;
           this.slideRight(newIndex);
         } else {
-          this.addVelocity(this.config.animations.keyboardSensitivity);
+          this.applyScrollInput(this.config.animations.keyboardSensitivity);
+        }
+        break;
+      case "Enter":
+      case " ":
+      case "Spacebar":
+        // Leave activating links and controls to the browser
+        if (e.target.closest && e.target.closest("a, button")) break;
+        if (this.config.features.enableZoom && !this.isZoomed()) {
+          e.preventDefault();
+          this.autoplaySystem.notifyInteraction();
+          this.zoomIn();
         }
         break;
+      case "Escape":
+      case "Esc":
+        if (this.isZoomed()) {
+          e.preventDefault();
+          this.zoomOut();
+        }
+        break;
+      case "f":
+      case "F":
+        if (!this.config.features.enableFullscreenKey) break;
+        e.preventDefault();
+        this.toggleFullscreen().catch((error) =>
+          console.warn("ParallaxCarousel: Could not toggle fullscreen", error)
+        );
+        break;
+      case "Home":
+        e.preventDefault();
+        this.navigateByKey(0);
+        break;
+      case "End":
+        e.preventDefault();
+        this.navigateByKey(this.images.length - 1);
+        break;
+      case "PageUp":
+        e.preventDefault();
+        this.navigateByKey(this.getCurrentIndex() - this.getPageSize());
+        break;
+      case "PageDown":
+        e.preventDefault();
+        this.navigateByKey(this.getCurrentIndex() + this.getPageSize());
+        break;
+    }
+  }
+
+  /**
+   * Move to an image from the keyboard, in the slider or in fullscreen
+   */
+  navigateByKey(index) {
+    const lastIndex = this.images.length - 1;
+    const targetIndex = Math.max(0, Math.min(lastIndex, index));
+
+    this.autoplaySystem.notifyInteraction();
+    if (this.isZoomed()) {
+      this.zoomIn(targetIndex);
+    } else {
+      this.goToImage(targetIndex);
     }
   }
 
+  /**
+   * Number of images PageUp and PageDown skip, one screen of the slider or
+   * a single image in fullscreen
+   */
+  getPageSize() {
+    if (this.isZoomed()) return 1;
+    return Math.max(1, Math.floor(this.getViewportLength() / this.getSlideSpacing()));
+  }
+
   // ========================================
   // HELPER METHODS
   // ========================================
@@ -666,6 +1920,28 @@ export class ParallaxCarousel {
     return Math.abs(delta) > this.config.animations.minDragThreshold;
   }
 
+  /**
+   * Apply wheel or key input to the slider. With reduced motion the slider
+   * moves one image per step of input instead of gaining momentum.
+   */
+  applyScrollInput(amount) {
+    if (!this.state.isReducedMotion) {
+      this.addVelocity(amount);
+      return;
+    }
+
+    this.state.scrollInput += amount;
+    if (Math.abs(this.state.scrollInput) < this.config.animations.reducedMotionStep) return;
+
+    const index = this.getCurrentIndex() + Math.sign(this.state.scrollInput);
+    this.state.scrollInput = 0;
+    this.updateTargetPosition(
+      this.config.features.loop
+        ? this.wrapIndex(index)
+        : Math.max(0, Math.min(this.images.length - 1, index))
+    );
+  }
+
   addVelocity(amount) {
     this.state.velocity += amount;
     this.state.velocity = Math.max(
@@ -682,23 +1958,178 @@ export class ParallaxCarousel {
   }
 
   updateTargetPosition(imageIndex) {
-    const viewportCenter = window.innerWidth / 2;
-    const maskX =
-      viewportCenter -
-      this.config.scaledDimensions.maskWidth / 2 +
-      imageIndex * (this.config.scaledDimensions.maskWidth + this.config.scaledDimensions.maskGap) -
-      this.state.smoothPosition;
-    const centeredX = viewportCenter - this.config.scaledDimensions.maskWidth / 2;
-    const moveDistance = maskX - centeredX;
+    this.state.targetPosition = this.state.currentPosition + this.getSlideOffset(imageIndex);
+  }
+
+  /**
+   * Distance between the left (top) edges of two neighbouring masks
+   */
+  getSlideSpacing() {
+    return this.getMaskLength() + this.config.scaledDimensions.maskGap;
+  }
+
+  /**
+   * Size of a mask along the slide axis
+   */
+  getMaskLength() {
+    const { maskWidth, maskHeight } = this.config.scaledDimensions;
+    return this.isVertical() ? maskHeight : maskWidth;
+  }
+
+  getViewportLength() {
+    return this.isVertical() ? this.viewport.height : this.viewport.width;
+  }
+
+  /**
+   * Total scroll length of one full cycle through all images in loop mode
+   */
+  getLoopLength() {
+    return this.images.length * this.getSlideSpacing();
+  }
+
+  /**
+   * Horizontal offset of an image from the centered slot. In loop mode the
+   * offset is wrapped to the nearest copy of the image.
+   */
+  getSlideOffset(index) {
+    const offset = index * this.getSlideSpacing() - this.state.smoothPosition;
+    if (!this.config.features.loop) return offset;
+
+    const loopLength = this.getLoopLength();
+    return this.wrapValue(offset + loopLength / 2, loopLength) - loopLength / 2;
+  }
+
+  /**
+   * Shifts at which an image is drawn. Looping sliders also render the copies
+   * one cycle to the left and right so the seam is never visible.
+   */
+  getLoopShifts() {
+    if (!this.config.features.loop) return [0];
+    const loopLength = this.getLoopLength();
+    return [0, -loopLength, loopLength];
+  }
+
+  wrapValue(value, length) {
+    return ((value % length) + length) % length;
+  }
+
+  wrapIndex(index) {
+    return this.wrapValue(index, this.images.length);
+  }
+
+  /**
+   * Zoom the given image to fullscreen, moving the others into the mini slider
+   * @param {boolean} [options.addHistoryEntry] - Push a history entry with `features.history`
+   */
+  startZoomIn(imageIndex, { addHistoryEntry = true } = {}) {
+    this.zoomSystem.zoomIn(imageIndex);
+    if (!this.state.currentTransforms.images.length) this.setupTransformations();
+    this.state.toMiniStartTransforms = {
+      images: this.state.currentTransforms.images.map((rect) => ({ ...rect })),
+      masks: this.state.currentTransforms.masks.map((rect) => ({ ...rect })),
+    };
+    this.miniSliderSystem.toMini(imageIndex);
+    if (this.config.features.showTitles && this.titleAnimation) {
+      this.titleAnimation.showTitle(imageIndex);
+    }
+    this.crossAnimation.resetRotation();
+    // Fullscreen gestures are handled by the carousel instead of the browser
+    this.container.classList.add("parallax-carousel-zoomed");
+
+    if (this.config.features.history && addHistoryEntry && !this.state.hasHistoryEntry) {
+      history.pushState({ parallaxCarousel: "zoomed" }, "");
+      this.state.hasHistoryEntry = true;
+    }
+
+    this.state.zoomTransition = { index: imageIndex, direction: "in" };
+    this.emit("zoomstart", this.state.zoomTransition);
+  }
+
+  /**
+   * Leave fullscreen and move all images back into the slider
+   */
+  startZoomOut() {
+    this.zoomSystem.zoomOut();
+    this.container.classList.remove("parallax-carousel-zoomed");
+
+    // Remove the entry when fullscreen was closed without the back button
+    this.leaveHistoryEntry();
+    this.state.toSliderStartTransforms = {
+      images: this.state.currentTransforms.images.map((rect) => ({ ...rect })),
+      masks: this.state.currentTransforms.masks.map((rect) => ({ ...rect })),
+    };
+    this.miniSliderSystem.toSlider();
+    if (this.config.features.showTitles && this.titleAnimation) {
+      this.titleAnimation.hideTitle();
+    }
+
+    this.state.zoomTransition = { index: this.zoomSystem.state.imageIndex, direction: "out" };
+    this.emit("zoomstart", this.state.zoomTransition);
+  }
+
+  /**
+   * Go back past the fullscreen history entry, unless the page has moved on
+   * to an entry of its own since it was pushed
+   */
+  leaveHistoryEntry() {
+    if (!this.state.hasHistoryEntry) return;
+
+    this.state.hasHistoryEntry = false;
+    if (history.state && history.state.parallaxCarousel === "zoomed") {
+      history.back();
+    }
+  }
+
+  /**
+   * Switch the fullscreen image without sliding through its neighbours
+   */
+  jumpToImage(newIndex) {
+    if (this.config.features.showTitles && this.titleAnimation) {
+      this.titleAnimation.hideTitle();
+    }
+    if (newIndex < this.zoomSystem.state.imageIndex) {
+      this.crossAnimation.rotateSideCrosses(-1);
+    } else if (newIndex > this.zoomSystem.state.imageIndex) {
+      this.crossAnimation.rotateSideCrosses(1);
+    }
+    this.zoomSystem.jumpToImage(newIndex);
+    this.updateTargetPosition(newIndex);
+    if (this.config.features.showTitles && this.titleAnimation) {
+      this.titleAnimation.setNextTitle(newIndex);
+    }
+  }
+
+  /**
+   * Switch the fullscreen image to any index, with the titles and crosses
+   * following like for a slide
+   */
+  showFullscreenImage(newIndex, animate = true) {
+    const fromIndex = this.zoomSystem.state.imageIndex;
+
+    if (this.config.features.showTitles && this.titleAnimation) {
+      this.titleAnimation.hideTitle();
+    }
+    this.crossAnimation.rotateSideCrosses(newIndex < fromIndex ? -1 : 1);
+    if (animate) {
+      this.zoomSystem.transitionToImage(newIndex);
+    } else {
+      this.zoomSystem.setImage(newIndex);
+    }
+    if (this.config.features.showTitles && this.titleAnimation) {
+      this.titleAnimation.setNextTitle(newIndex);
+    }
 
-    this.state.targetPosition = this.state.currentPosition + moveDistance;
+    this.emit("slide", { fromIndex, toIndex: newIndex });
   }
 
   slideRight(newIndex) {
+    if (this.config.features.loop) newIndex = this.wrapIndex(newIndex);
+
     if (newIndex < this.images.length) {
       if (this.config.features.showTitles && this.titleAnimation) {
         this.titleAnimation.hideTitle();
       }
+      const fromIndex = this.zoomSystem.state.imageIndex;
       this.zoomSystem.transitionToImage(newIndex);
       this.updateTargetPosition(newIndex);
       if (this.config.features.showTitles && this.titleAnimation) {
@@ -706,17 +2137,18 @@ export class ParallaxCarousel {
       }
       this.crossAnimation.rotateSideCrosses(1);
 
-      if (this.config.callbacks.onSlide) {
-        this.config.callbacks.onSlide(this.zoomSystem.state.imageIndex, newIndex);
-      }
+      this.emit("slide", { fromIndex, toIndex: newIndex });
     }
   }
 
   slideLeft(newIndex) {
+    if (this.config.features.loop) newIndex = this.wrapIndex(newIndex);
+
     if (newIndex >= 0) {
       if (this.config.features.showTitles && this.titleAnimation) {
         this.titleAnimation.hideTitle();
       }
+      const fromIndex = this.zoomSystem.state.imageIndex;
       this.zoomSystem.transitionToImage(newIndex);
       this.updateTargetPosition(newIndex);
       if (this.config.features.showTitles && this.titleAnimation) {
@@ -724,93 +2156,84 @@ export class ParallaxCarousel {
       }
       this.crossAnimation.rotateSideCrosses(-1);
 
-      if (this.config.callbacks.onSlide) {
-        this.config.callbacks.onSlide(this.zoomSystem.state.imageIndex, newIndex);
-      }
+      this.emit("slide", { fromIndex, toIndex: newIndex });
     }
   }
 
   getImageIndexAtPoint(x, y) {
-    const centerY = window.innerHeight / 2;
-    const centerX = window.innerWidth / 2;
-
     for (let i = 0; i < this.images.length; i++) {
-      const maskX =
-        centerX -
-        this.config.scaledDimensions.maskWidth / 2 +
-        i * (this.config.scaledDimensions.maskWidth + this.config.scaledDimensions.maskGap) -
-        this.state.smoothPosition;
-
-      if (
-        x >= maskX &&
-        x <= maskX + this.config.scaledDimensions.maskWidth &&
-        y >= centerY - this.config.scaledDimensions.maskHeight / 2 &&
-        y <= centerY + this.config.scaledDimensions.maskHeight / 2
-      ) {
-        return i;
+      for (const shift of this.getLoopShifts()) {
+        if (this.isPointInRect(x, y, this.getMaskRect(i, this.getMaskStart(i) + shift))) {
+          return i;
+        }
       }
     }
     return -1;
   }
 
-  getImageRect(index) {
-    const centerX = window.innerWidth / 2;
-    const centerY = window.innerHeight / 2;
-    const maskX =
-      centerX -
-      this.config.scaledDimensions.maskWidth / 2 +
-      index * (this.config.scaledDimensions.maskWidth + this.config.scaledDimensions.maskGap) -
-      this.state.smoothPosition;
+  /**
+   * Left edge of a mask, or its top edge in vertical carousels
+   */
+  getMaskStart(index) {
+    const offset = this.isRtl() ? -this.getSlideOffset(index) : this.getSlideOffset(index);
+    return this.getViewportLength() / 2 - this.getMaskLength() / 2 + offset;
+  }
 
-    const img = this.images[index];
-    const extraWidth = img.width - this.config.scaledDimensions.maskWidth;
+  getImageRect(index, maskStart = this.getMaskStart(index)) {
+    const centerX = this.viewport.width / 2;
+    const centerY = this.viewport.height / 2;
+    const isVertical = this.isVertical();
 
-    const maskCenter = maskX + this.config.scaledDimensions.maskWidth / 2;
-    const distanceFromCenter = (maskCenter - centerX) / (window.innerWidth / 2);
-    const parallaxOffset =
-      (extraWidth / 2) * distanceFromCenter * this.config.animations.parallaxStrength;
+    const img = this.images[index];
+    const imageLength = isVertical ? img.height : img.width;
+    const extraLength = imageLength - this.getMaskLength();
+
+    const maskCenter = maskStart + this.getMaskLength() / 2;
+    const viewportCenter = this.getViewportLength() / 2;
+    const distanceFromCenter = (maskCenter - viewportCenter) / viewportCenter;
+    const parallaxStrength = this.state.isReducedMotion
+      ? 0
+      : this.config.animations.parallaxStrength;
+    const parallaxOffset = (extraLength / 2) * distanceFromCenter * parallaxStrength;
+    const imageStart = maskStart - extraLength / 2 - parallaxOffset;
 
     return {
-      x: maskX - extraWidth / 2 - parallaxOffset,
-      y: centerY - img.height / 2,
+      x: isVertical ? centerX - img.width / 2 : imageStart,
+      y: isVertical ? imageStart : centerY - img.height / 2,
       width: img.width,
       height: img.height,
     };
   }
 
-  getMaskRect(index) {
-    const centerX = window.innerWidth / 2;
-    const centerY = window.innerHeight / 2;
-    const maskX =
-      centerX -
-      this.config.scaledDimensions.maskWidth / 2 +
-      index * (this.config.scaledDimensions.maskWidth + this.config.scaledDimensions.maskGap) -
-      this.state.smoothPosition;
+  getMaskRect(index, maskStart = this.getMaskStart(index)) {
+    const { maskWidth, maskHeight } = this.config.scaledDimensions;
+    const isVertical = this.isVertical();
 
     return {
-      x: maskX,
-      y: centerY - this.config.scaledDimensions.maskHeight / 2,
-      width: this.config.scaledDimensions.maskWidth,
-      height: this.config.scaledDimensions.maskHeight,
+      x: isVertical ? (this.viewport.width - maskWidth) / 2 : maskStart,
+      y: isVertical ? maskStart : (this.viewport.height - maskHeight) / 2,
+      width: maskWidth,
+      height: maskHeight,
     };
   }
 
   getFullscreenRect(image) {
-    const viewportRatio = window.innerWidth / window.innerHeight;
+    const { width: viewportWidth, height: viewportHeight } = this.viewport;
+    const viewportRatio = viewportWidth / viewportHeight;
     const imageRatio = image.width / image.height;
 
     let width, height;
     if (viewportRatio > imageRatio) {
-      width = window.innerWidth;
-      height = window.innerWidth / imageRatio;
+      width = viewportWidth;
+      height = viewportWidth / imageRatio;
     } else {
-      height = window.innerHeight;
-      width = window.innerHeight * imageRatio;
+      height = viewportHeight;
+      width = viewportHeight * imageRatio;
     }
 
     return {
-      x: (window.innerWidth - width) / 2,
-      y: (window.innerHeight - height) / 2,
+      x: (viewportWidth - width) / 2,
+      y: (viewportHeight - height) / 2,
       width,
       height,
     };
@@ -832,6 +2255,12 @@ export class ParallaxCarousel {
   updateMotion(deltaTime) {
     const dt = deltaTime / this.config.animations.timingNormalizer;
 
+    // Only the loading indicator animates until the images are ready
+    if (this.state.isLoading) {
+      this.crossAnimation.updateAnimation(dt);
+      return;
+    }
+
     if (this.zoomSystem.state.isActive) {
       this.zoomSystem.updateAnimation(dt);
       this.miniSliderSystem.updateAnimation(dt);
@@ -855,80 +2284,254 @@ export class ParallaxCarousel {
       this.titleAnimation.updateAnimation(dt);
     }
     this.updateSliderMotion(dt);
+    this.updateAutoplay(deltaTime);
+    this.updateImageLoading();
   }
 
-  updateSliderMotion(dt) {
-    const distanceToMin = this.state.currentPosition - this.state.minScroll;
-    const distanceToMax = this.state.maxScroll - this.state.currentPosition;
-    const range = this.state.maxScroll - this.state.minScroll;
-    const edgeZone = range * this.config.animations.edgeZone;
+  /**
+   * Emit events for state changes that happen over the course of animations
+   */
+  updateEventState() {
+    if (this.state.isLoading) return;
 
-    if (this.state.targetPosition !== null) {
-      const distanceToTarget = this.state.targetPosition - this.state.currentPosition;
+    if (this.accessibility) {
+      this.accessibility.update(this.getCurrentIndex(), this.images);
+    }
+
+    const centerIndex = this.indexAnimation.getIndexAtPosition(
+      this.state.smoothPosition,
+      this.getMaskLength(),
+      this.config.scaledDimensions.maskGap,
+      this.config.features.loop ? this.images.length : 0,
+      this.images.length
+    );
+    if (centerIndex !== this.state.centerIndex) {
+      const previousIndex = this.state.centerIndex;
+      this.state.centerIndex = centerIndex;
+      this.emit("indexchange", { index: centerIndex, previousIndex });
+    }
+
+    this.updateDeepLink();
+
+    const zoomTransition = this.state.zoomTransition;
+    if (zoomTransition) {
+      const isComplete =
+        zoomTransition.direction === "in"
+          ? this.zoomSystem.isSettled() && this.miniSliderSystem.isSettled()
+          : !this.zoomSystem.isActive();
+      if (isComplete) {
+        this.state.zoomTransition = null;
+        this.emit("zoomend", zoomTransition);
+      }
+    }
+
+    const isSettled = this.isSettled();
+    if (isSettled && !this.state.isSettled) {
+      this.emit("settle", { index: this.getCurrentIndex() });
+    }
+    this.state.isSettled = isSettled;
+  }
+
+  updateAutoplay(deltaTime) {
+    const isBlocked =
+      this.state.isLoading ||
+      this.state.isPointerDown ||
+      (this.zoomSystem.isActive() &&
+        (!this.config.autoplay.advanceInFullscreen || !this.zoomSystem.isSettled()));
 
-      if (Math.abs(distanceToTarget) < 0.1) {
-        this.state.currentPosition = this.state.targetPosition;
-        this.state.targetPosition = null;
-        this.state.velocity = 0;
+    if (this.autoplaySystem.update(deltaTime, isBlocked)) {
+      this.advanceAutoplay();
+    }
+  }
+
+  /**
+   * Move on to the next image, rewinding to the first one at the end
+   */
+  advanceAutoplay() {
+    const isLoop = this.config.features.loop;
+
+    if (this.zoomSystem.isActive()) {
+      const nextIndex = this.zoomSystem.state.imageIndex + 1;
+      if (nextIndex < this.images.length || isLoop) {
+        this.slideRight(nextIndex);
       } else {
-        this.state.velocity = this.config.animations.positionSmoothing * distanceToTarget;
+        this.slideLeft(0);
       }
+      return;
     }
 
-    let damping = this.config.animations.baseDamping;
-    if (
-      (distanceToMin < edgeZone && this.state.velocity < 0) ||
-      (distanceToMax < edgeZone && this.state.velocity > 0)
-    ) {
-      const edgeDistance = this.state.velocity < 0 ? distanceToMin : distanceToMax;
-      const edgeFactor = Math.max(0, edgeDistance / edgeZone);
-      damping = this.expDecay(
-        this.config.animations.edgeDamping,
-        this.config.animations.baseDamping,
-        1,
-        edgeFactor
-      );
+    const nextIndex = this.getCurrentIndex() + 1;
+    if (isLoop) {
+      this.updateTargetPosition(this.wrapIndex(nextIndex));
+    } else {
+      this.updateTargetPosition(nextIndex < this.images.length ? nextIndex : 0);
+    }
+  }
+
+  updateSliderMotion(dt) {
+    if (this.state.isReducedMotion) {
+      this.updateReducedSliderMotion();
+      return;
+    }
+
+    // Any other target or new input replaces a running snap
+    if (this.state.snapPosition !== this.state.targetPosition) {
+      this.state.snapPosition = null;
+    }
+
+    if (this.state.targetPosition === null) {
+      this.updateSnap();
+    }
+
+    const snapPosition = this.state.snapPosition;
+    const isSnapping = snapPosition !== null;
+    const motion = {
+      position: this.state.currentPosition,
+      velocity: this.state.velocity,
+      target: this.state.targetPosition,
+      targetStrength: isSnapping
+        ? this.config.animations.snapStrength
+        : this.config.animations.positionSmoothing,
+      min: this.state.minScroll,
+      max: this.state.maxScroll,
+      // Looping sliders have no boundaries, positions wrap in getSlideOffset
+      isBounded: !this.config.features.loop,
+      isPointerDown: this.state.isPointerDown,
+    };
+    // The overscroll limit is in design pixels like the dimensions
+    const { animations, dimensionScale } = this.config;
+    this.physics.update(motion, dt, {
+      ...animations,
+      overscrollLimit: animations.overscrollLimit * dimensionScale,
+    });
+
+    this.state.currentPosition = motion.position;
+    this.state.velocity = motion.velocity;
+    this.state.targetPosition = motion.target;
+
+    if (isSnapping && motion.target === null) {
+      this.state.snapPosition = null;
+      if (motion.position === snapPosition) {
+        this.emit("snap", { index: this.getIndexAtPosition(motion.position) });
+      }
+    }
+
+    this.state.smoothPosition = this.expDecay(
+      this.state.smoothPosition,
+      this.state.currentPosition,
+      this.config.animations.positionSmoothing,
+      dt
+    );
+
+    if (this.config.features.loop) {
+      this.normalizeLoopPosition();
     }
+  }
 
-    this.state.velocity *= Math.pow(damping, dt);
+  /**
+   * Target the nearest image once a free scroll slowed down enough
+   */
+  updateSnap() {
+    const { snap, snapVelocity, snapProximity } = this.config.animations;
 
     if (
-      Math.abs(this.state.velocity) > this.config.animations.minVelocity ||
-      this.state.targetPosition !== null
+      snap === "none" ||
+      this.state.isPointerDown ||
+      this.zoomSystem.isActive() ||
+      Math.abs(this.state.velocity) >= snapVelocity
     ) {
-      let newPosition = this.state.currentPosition + this.state.velocity * dt;
-
-      if (newPosition < this.state.minScroll) {
-        newPosition = this.state.minScroll;
-        this.state.velocity = 0;
-        this.state.targetPosition = null;
-      } else if (newPosition > this.state.maxScroll) {
-        newPosition = this.state.maxScroll;
-        this.state.velocity = 0;
-        this.state.targetPosition = null;
+      return;
+    }
+
+    const spacing = this.getSlideSpacing();
+    let index = Math.round(this.state.currentPosition / spacing);
+    if (!this.config.features.loop) {
+      index = Math.max(0, Math.min(this.images.length - 1, index));
+    }
+
+    const position = index * spacing;
+    const distance = Math.abs(position - this.state.currentPosition);
+    if (distance < 0.1 || (snap === "proximity" && distance > spacing * snapProximity)) return;
+
+    this.state.targetPosition = position;
+    this.state.snapPosition = position;
+  }
+
+  getIndexAtPosition(position) {
+    const index = Math.round(position / this.getSlideSpacing());
+    if (this.config.features.loop) return this.wrapIndex(index);
+
+    // Rubberband physics can pull the slider past the first and last image
+    return Math.max(0, Math.min(this.images.length - 1, index));
+  }
+
+  /**
+   * Slider motion without inertia or smoothing: targets are reached at once,
+   * drags follow the pointer and snap to the nearest image on release
+   */
+  updateReducedSliderMotion() {
+    if (this.state.targetPosition !== null) {
+      this.state.currentPosition = this.state.targetPosition;
+      this.state.targetPosition = null;
+    } else {
+      this.state.currentPosition += this.state.velocity;
+
+      if (!this.state.isPointerDown) {
+        const spacing = this.getSlideSpacing();
+        this.state.currentPosition = Math.round(this.state.currentPosition / spacing) * spacing;
       }
+    }
+    this.state.velocity = 0;
 
-      this.state.currentPosition = newPosition;
+    if (this.config.features.loop) {
+      this.normalizeLoopPosition();
+    } else {
+      this.state.currentPosition = Math.max(
+        this.state.minScroll,
+        Math.min(this.state.maxScroll, this.state.currentPosition)
+      );
     }
+    this.state.smoothPosition = this.state.currentPosition;
+  }
 
-    this.state.smoothPosition = this.expDecay(
-      this.state.smoothPosition,
-      this.state.currentPosition,
-      this.config.animations.positionSmoothing,
-      dt
-    );
+  /**
+   * Keep looping positions within one cycle to avoid unbounded growth.
+   * All positions are shifted together so the motion is unaffected.
+   */
+  normalizeLoopPosition() {
+    const loopLength = this.getLoopLength();
+    const cycles = Math.floor(this.state.currentPosition / loopLength);
+    if (cycles === 0 || !Number.isFinite(cycles)) return;
+
+    const shift = cycles * loopLength;
+    this.state.currentPosition -= shift;
+    this.state.smoothPosition -= shift;
+    if (this.state.targetPosition !== null) {
+      this.state.targetPosition -= shift;
+    }
+    if (this.state.snapPosition !== null) {
+      this.state.snapPosition -= shift;
+    }
   }
 
   render() {
     this.ctx.fillStyle = this.config.styling.backgroundColor;
     this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
-    if (this.images.length === 0) return;
+    const centerX = this.viewport.width / 2;
+    const centerY = this.viewport.height / 2;
+
+    // Only the spinning center cross is shown while images are loading
+    if (this.state.isLoading) {
+      this.crossAnimation.render(this.ctx, centerX, centerY);
+      return;
+    }
 
-    const centerX = window.innerWidth / 2;
-    const centerY = window.innerHeight / 2;
+    if (this.images.length === 0) return;
 
     if (this.zoomSystem.isActive()) {
+      // With reduced motion the slider stays in place under the fading fullscreen image
+      if (this.zoomSystem.getOpacity() < 1) this.renderMainCarousel();
       this.renderZoomedImage(this.zoomSystem.state.imageIndex);
     } else {
       this.renderMainCarousel();
@@ -945,26 +2548,51 @@ export class ParallaxCarousel {
     if (this.config.features.showIndex) {
       this.indexAnimation.updateIndex(
         this.state.smoothPosition,
-        this.config.scaledDimensions.maskWidth,
-        this.config.scaledDimensions.maskGap
+        this.getMaskLength(),
+        this.config.scaledDimensions.maskGap,
+        this.config.features.loop ? this.images.length : 0,
+        this.images.length
       );
-      this.indexAnimation.render(this.ctx, centerX, window.innerHeight - 50, this.images.length);
+      this.indexAnimation.render(this.ctx, centerX, this.viewport.height - 50, this.images.length);
+    }
+
+    if (this.config.autoplay.showProgress && this.autoplaySystem.isPlaying()) {
+      this.renderAutoplayProgress(centerX, this.viewport.height - 50);
+    }
+  }
+
+  renderAutoplayProgress(centerX, bottomY) {
+    let progressX = centerX;
+
+    // Place the ring right after the total count of the index counter
+    if (this.config.features.showIndex) {
+      this.ctx.font = this.indexAnimation.config.font;
+      const totalText = this.indexAnimation.getTotalText(this.images.length);
+      const totalWidth = this.ctx.measureText(totalText).width;
+      progressX = this.indexAnimation.getX(centerX, totalWidth + 8);
     }
+
+    this.autoplaySystem.render(this.ctx, progressX, bottomY);
   }
 
   renderMainCarousel() {
     this.images.forEach((img, index) => {
-      const maskRect = this.getMaskRect(index);
-
-      if (
-        maskRect.x + this.config.scaledDimensions.maskWidth <
-          -this.config.animations.offScreenBuffer ||
-        maskRect.x > window.innerWidth + this.config.animations.offScreenBuffer
-      ) {
-        return;
-      }
+      this.getLoopShifts().forEach((shift) => {
+        const maskStart = this.getMaskStart(index) + shift;
+        const { offScreenBuffer } = this.config.animations;
+
+        if (
+          maskStart + this.getMaskLength() < -offScreenBuffer ||
+          maskStart > this.getViewportLength() + offScreenBuffer
+        ) {
+          return;
+        }
 
-      this.renderImage(img, index);
+        this.renderImage(img, index, {
+          mask: this.getMaskRect(index, maskStart),
+          image: this.getImageRect(index, maskStart),
+        });
+      });
     });
   }
 
@@ -983,10 +2611,113 @@ export class ParallaxCarousel {
     );
     this.ctx.clip();
 
-    this.ctx.drawImage(img.element, imageRect.x, imageRect.y, imageRect.width, imageRect.height);
+    this.drawImageContent(img, imageRect);
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw the image bitmap, cross-fading from its placeholder after it loaded
+   */
+  drawImageContent(img, imageRect) {
+    if (img.status === "error") {
+      this.renderErrorTile(imageRect);
+      return;
+    }
+
+    const fadeProgress = this.getImageFadeProgress(img);
+
+    if (fadeProgress < 1) {
+      if (img.placeholder && img.placeholder.isReady()) {
+        img.placeholder.render(this.ctx, imageRect);
+      } else {
+        this.ctx.fillStyle = this.config.loading.placeholderColor;
+        this.ctx.fillRect(imageRect.x, imageRect.y, imageRect.width, imageRect.height);
+      }
+    }
+
+    if (img.element && fadeProgress > 0) {
+      this.ctx.save();
+      this.ctx.globalAlpha *= fadeProgress;
+      this.ctx.drawImage(img.element, imageRect.x, imageRect.y, imageRect.width, imageRect.height);
+      this.ctx.restore();
+    }
+  }
+
+  /**
+   * Tile shown in place of an image that could not be loaded
+   */
+  renderErrorTile(imageRect) {
+    const { errorTileColor, errorIconColor, centerCrossLineWidth, centerCrossLineLength } =
+      this.config.styling;
+
+    this.ctx.fillStyle = errorTileColor;
+    this.ctx.fillRect(imageRect.x, imageRect.y, imageRect.width, imageRect.height);
+
+    // Draw the cross of the carousel tilted into an X
+    this.ctx.save();
+    this.ctx.strokeStyle = errorIconColor;
+    this.ctx.lineWidth = centerCrossLineWidth;
+    this.crossAnimation.renderCross(
+      this.ctx,
+      imageRect.x + imageRect.width / 2,
+      imageRect.y + imageRect.height / 2,
+      centerCrossLineLength,
+      Math.PI / 4
+    );
     this.ctx.restore();
   }
 
+  getImageFadeProgress(img) {
+    if (!img.element) return 0;
+    if (img.fadeStartTime === null || this.config.loading.fadeDuration <= 0) return 1;
+
+    const progress = (performance.now() - img.fadeStartTime) / this.config.loading.fadeDuration;
+    if (progress >= 1) {
+      img.fadeStartTime = null;
+      return 1;
+    }
+    return progress;
+  }
+
+  /**
+   * Reduced motion variant of the mini slider: thumbnails and slider images
+   * cross-fade in place instead of flying between both layouts
+   */
+  renderMiniSliderFade() {
+    const progress = this.miniSliderSystem.getProgress(0, this.images.length);
+    const isToMini = this.miniSliderSystem.isInToMiniMode();
+    const zoomedIndex = this.zoomSystem.state.imageIndex;
+
+    this.images.forEach((img, index) => {
+      const miniTarget = this.miniSliderSystem.getMiniTarget(
+        index,
+        this.images.length,
+        img.width / img.height
+      );
+      const miniRects = { image: miniTarget, mask: miniTarget };
+      const sliderRects = { image: this.getImageRect(index), mask: this.getMaskRect(index) };
+
+      const layouts = [
+        { rects: miniRects, alpha: isToMini ? progress : 1 - progress },
+        { rects: sliderRects, alpha: isToMini ? 1 - progress : progress },
+      ];
+
+      layouts.forEach(({ rects, alpha }) => {
+        // The zoomed image itself is drawn by the zoom system
+        if (alpha <= 0 || (rects === sliderRects && index === zoomedIndex)) return;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = alpha;
+        this.renderImage(img, index, rects);
+        this.ctx.restore();
+      });
+
+      const current = isToMini ? miniRects : sliderRects;
+      this.state.currentTransforms.images[index] = current.image;
+      this.state.currentTransforms.masks[index] = current.mask;
+    });
+  }
+
   renderZoomedImage(zoomedImageIndex) {
     const image = this.images[zoomedImageIndex];
     const imageRect = this.getImageRect(zoomedImageIndex);
@@ -995,6 +2726,11 @@ export class ParallaxCarousel {
   }
 
   renderMiniSlider() {
+    if (this.state.isReducedMotion) {
+      this.renderMiniSliderFade();
+      return;
+    }
+
     this.images.forEach((img, index) => {
       const progress = this.miniSliderSystem.getProgress(index, this.images.length);
       const absProgress = Math.abs(progress);
@@ -1004,10 +2740,16 @@ export class ParallaxCarousel {
         this.images.length,
         img.width / img.height
       );
-      const miniZoomedStart = {
-        ...miniTarget,
-        y: window.innerHeight + 2 * miniTarget.miniHeight,
-      };
+      // The zoomed image enters the mini slider from outside the screen
+      const miniZoomedStart = this.isVertical()
+        ? {
+            ...miniTarget,
+            x:
+              this.direction === "rtl"
+                ? -3 * miniTarget.width
+                : this.viewport.width + 2 * miniTarget.width,
+          }
+        : { ...miniTarget, y: this.viewport.height + 2 * miniTarget.miniHeight };
 
       if (this.miniSliderSystem.isInToMiniMode() || progress < 0) {
         this.state.currentTransforms.images[index] = this.interpolateRects(
@@ -1076,6 +2818,48 @@ export class ParallaxCarousel {
     });
   }
 
+  /**
+   * Returns a promise that resolves after the first frame in which the
+   * condition holds
+   */
+  waitUntil(condition) {
+    return new Promise((resolve) => {
+      this.settleWaiters.push({ condition, resolve });
+    });
+  }
+
+  resolveSettleWaiters() {
+    if (!this.settleWaiters.length) return;
+
+    this.settleWaiters = this.settleWaiters.filter(({ condition, resolve }) => {
+      if (!condition()) return true;
+      resolve();
+      return false;
+    });
+  }
+
+  isSliderSettled() {
+    const isInBounds =
+      this.config.features.loop ||
+      (this.state.currentPosition >= this.state.minScroll &&
+        this.state.currentPosition <= this.state.maxScroll);
+
+    return (
+      isInBounds &&
+      this.state.targetPosition === null &&
+      Math.abs(this.state.velocity) <= this.config.animations.minVelocity &&
+      Math.abs(this.state.smoothPosition - this.state.currentPosition) < 0.5
+    );
+  }
+
+  isSettled() {
+    return (
+      this.isSliderSettled() &&
+      (!this.zoomSystem.isActive() ||
+        (this.zoomSystem.isSettled() && this.miniSliderSystem.isSettled()))
+    );
+  }
+
   startAnimation() {
     let frameCount = 0;
     let lastFpsUpdate = performance.now();
@@ -1091,8 +2875,15 @@ export class ParallaxCarousel {
       const deltaTime = Math.min(timestamp - lastTimestamp, this.config.animations.minFrameRate);
       lastTimestamp = timestamp;
 
+      // Event handlers can destroy the carousel in the middle of a frame
+      if (this.state.isDestroyed) return;
       this.updateMotion(deltaTime);
+      if (this.state.isDestroyed) return;
       this.render();
+      this.updateEventState();
+      if (this.state.isDestroyed) return;
+      this.resolveSettleWaiters();
+      if (this.state.isDestroyed) return;
 
       this.animationFrameId = requestAnimationFrame(animate);
     };
@@ -1107,18 +2898,215 @@ export class ParallaxCarousel {
   /**
    * Navigate to a specific image by index
    * @param {number} index - Image index to navigate to
+   * @param {Object} [options]
+   * @param {boolean} [options.animate=true] - Set to false to jump without animation
+   * @returns {Promise<void>} Resolves when the carousel comes to rest
    */
-  goToImage(index) {
+  goToImage(index, { animate = true } = {}) {
     if (index < 0 || index >= this.images.length) {
       console.warn(`ParallaxCarousel: Invalid image index ${index}`);
-      return;
+      return Promise.resolve();
     }
 
-    this.updateTargetPosition(index);
+    if (this.zoomSystem.isActive() && index !== this.zoomSystem.state.imageIndex) {
+      this.showFullscreenImage(index, animate);
+    }
 
-    if (this.zoomSystem.isActive()) {
-      this.zoomSystem.transitionToImage(index);
+    if (animate) {
+      this.updateTargetPosition(index);
+    } else {
+      const position = this.state.smoothPosition + this.getSlideOffset(index);
+      this.state.currentPosition = position;
+      this.state.smoothPosition = position;
+      this.state.targetPosition = null;
+      this.state.velocity = 0;
+    }
+
+    return this.waitUntil(() => this.isSettled());
+  }
+
+  /**
+   * Navigate to the next image
+   * @returns {Promise<void>} Resolves when the carousel comes to rest
+   */
+  next() {
+    if (this.zoomSystem.isActive() && !this.zoomSystem.state.isZoomingOut) {
+      this.slideRight(this.zoomSystem.state.imageIndex + 1);
+      return this.waitUntil(() => this.isSettled());
+    }
+
+    const nextIndex = this.getCurrentIndex() + 1;
+    return this.goToImage(this.config.features.loop ? this.wrapIndex(nextIndex) : nextIndex);
+  }
+
+  /**
+   * Navigate to the previous image
+   * @returns {Promise<void>} Resolves when the carousel comes to rest
+   */
+  prev() {
+    if (this.zoomSystem.isActive() && !this.zoomSystem.state.isZoomingOut) {
+      this.slideLeft(this.zoomSystem.state.imageIndex - 1);
+      return this.waitUntil(() => this.isSettled());
+    }
+
+    const prevIndex = this.getCurrentIndex() - 1;
+    return this.goToImage(this.config.features.loop ? this.wrapIndex(prevIndex) : prevIndex);
+  }
+
+  /**
+   * Zoom an image to fullscreen
+   * @param {number} [index] - Image index, defaults to the current image
+   * @returns {Promise<void>} Resolves when the zoom and mini slider animations settle
+   */
+  zoomIn(index = this.getCurrentIndex()) {
+    if (index < 0 || index >= this.images.length) {
+      console.warn(`ParallaxCarousel: Invalid image index ${index}`);
+      return Promise.resolve();
+    }
+
+    if (this.zoomSystem.isActive() && !this.zoomSystem.state.isZoomingOut) {
+      if (index !== this.zoomSystem.state.imageIndex) {
+        this.jumpToImage(index);
+      }
+    } else {
+      this.updateTargetPosition(index);
+      this.startZoomIn(index);
     }
+
+    return this.waitUntil(() => this.isSettled());
+  }
+
+  /**
+   * Leave fullscreen and return to the slider
+   * @returns {Promise<void>} Resolves when all images are back in the slider
+   */
+  zoomOut() {
+    if (this.zoomSystem.isActive() && !this.zoomSystem.state.isZoomingOut) {
+      this.startZoomOut();
+    }
+
+    return this.waitUntil(() => !this.zoomSystem.isActive() && this.isSliderSettled());
+  }
+
+  /**
+   * Replace all images, keeping the centered image in place if it is still present
+   * @param {Array<Object>} images - New image configs
+   * @returns {Promise<void>} Resolves when the new images are loaded and shown
+   */
+  setImages(images) {
+    return this.updateImageList([...images]);
+  }
+
+  /**
+   * Insert images into the carousel
+   * @param {Array<Object>} images - Image configs to add
+   * @param {number} [atIndex] - Insert position, defaults to the end
+   * @returns {Promise<void>} Resolves when the new images are loaded and shown
+   */
+  addImages(images, atIndex = this.getPendingImageConfigs().length) {
+    const imageConfigs = [...this.getPendingImageConfigs()];
+    imageConfigs.splice(atIndex, 0, ...images);
+    return this.updateImageList(imageConfigs);
+  }
+
+  /**
+   * Remove a single image
+   * @param {number} index - Index of the image to remove
+   * @returns {Promise<void>} Resolves when the carousel is updated
+   */
+  removeImage(index) {
+    const pendingConfigs = this.getPendingImageConfigs();
+    if (index < 0 || index >= pendingConfigs.length) {
+      console.warn(`ParallaxCarousel: Invalid image index ${index}`);
+      return Promise.resolve();
+    }
+    if (pendingConfigs.length === 1) {
+      console.warn("ParallaxCarousel: Cannot remove the last remaining image");
+      return Promise.resolve();
+    }
+
+    const imageConfigs = pendingConfigs.filter((_, i) => i !== index);
+    return this.updateImageList(imageConfigs);
+  }
+
+  /**
+   * Move an image to another position
+   * @param {number} from - Current index of the image
+   * @param {number} to - Target index of the image
+   * @returns {Promise<void>} Resolves when the carousel is updated
+   */
+  moveImage(from, to) {
+    const pendingConfigs = this.getPendingImageConfigs();
+    const total = pendingConfigs.length;
+    if (from < 0 || from >= total || to < 0 || to >= total) {
+      console.warn(`ParallaxCarousel: Invalid move from ${from} to ${to}`);
+      return Promise.resolve();
+    }
+
+    const imageConfigs = [...pendingConfigs];
+    const [moved] = imageConfigs.splice(from, 1);
+    imageConfigs.splice(to, 0, moved);
+    return this.updateImageList(imageConfigs);
+  }
+
+  /**
+   * Subscribe to a carousel event
+   * @param {string} event - Event name, e.g. 'indexchange', 'settle' or 'zoomstart'
+   * @param {Function} handler - Called with the event detail object
+   * @returns {ParallaxCarousel} The carousel for chaining
+   */
+  on(event, handler) {
+    this.events.on(event, handler);
+    return this;
+  }
+
+  /**
+   * Remove a handler added with on() or once()
+   * @param {string} event - Event name
+   * @param {Function} handler - Previously registered handler
+   * @returns {ParallaxCarousel} The carousel for chaining
+   */
+  off(event, handler) {
+    this.events.off(event, handler);
+    return this;
+  }
+
+  /**
+   * Subscribe to the next occurrence of a carousel event only
+   * @param {string} event - Event name
+   * @param {Function} handler - Called with the event detail object
+   * @returns {ParallaxCarousel} The carousel for chaining
+   */
+  once(event, handler) {
+    this.events.once(event, handler);
+    return this;
+  }
+
+  emit(event, detail = {}) {
+    this.events.emit(event, detail);
+  }
+
+  /**
+   * Start advancing through the images automatically
+   */
+  play() {
+    this.autoplaySystem.play();
+  }
+
+  /**
+   * Stop advancing through the images automatically
+   */
+  pause() {
+    this.autoplaySystem.pause();
+  }
+
+  /**
+   * Whether autoplay is running. Temporary pauses (hover, interaction,
+   * hidden tab, fullscreen) do not affect the result.
+   * @returns {boolean}
+   */
+  isPlaying() {
+    return this.autoplaySystem.isPlaying();
   }
 
   /**
@@ -1131,20 +3119,161 @@ export class ParallaxCarousel {
     }
 
     // Calculate from position
-    const position = this.state.smoothPosition;
-    const imageWidth =
-      this.config.scaledDimensions.maskWidth + this.config.scaledDimensions.maskGap;
-    return Math.round(position / imageWidth);
+    return this.getIndexAtPosition(this.state.smoothPosition);
+  }
+
+  /**
+   * Whether an image is shown in fullscreen or currently zooming in
+   * @returns {boolean}
+   */
+  isZoomed() {
+    return this.zoomSystem.isActive() && !this.zoomSystem.state.isZoomingOut;
+  }
+
+  /**
+   * Show the container in browser fullscreen through the Fullscreen API
+   * @returns {Promise<void>} Resolves once the container fills the screen, rejects
+   * when the browser denies the request, e.g. outside of a user gesture
+   */
+  enterFullscreen() {
+    if (this.isFullscreen()) return Promise.resolve();
+
+    if (!this.container.requestFullscreen) {
+      console.warn("ParallaxCarousel: Fullscreen is not supported in this browser");
+      return Promise.resolve();
+    }
+    return this.container.requestFullscreen();
+  }
+
+  /**
+   * Leave browser fullscreen
+   * @returns {Promise<void>} Resolves once the container is back in the page
+   */
+  exitFullscreen() {
+    if (!this.isFullscreen()) return Promise.resolve();
+    return document.exitFullscreen();
+  }
+
+  /**
+   * Enter or leave browser fullscreen
+   * @returns {Promise<void>} Resolves once the change is done
+   */
+  toggleFullscreen() {
+    return this.isFullscreen() ? this.exitFullscreen() : this.enterFullscreen();
+  }
+
+  /**
+   * Check if the container is in browser fullscreen
+   * @returns {boolean}
+   */
+  isFullscreen() {
+    // Inside a shadow root the document only knows the host element
+    return this.container.getRootNode().fullscreenElement === this.container;
   }
 
   /**
-   * Update carousel configuration
+   * Update carousel configuration. Feature toggles take effect right away and
+   * new images are applied like setImages().
    * @param {Object} newConfig - New configuration options
+   * @returns {Promise<void>} Resolves when new images are shown, right away otherwise
    */
   updateConfig(newConfig) {
-    this.config = this.mergeConfig(this.config, newConfig);
+    const { images, ...options } = newConfig;
+    const previousConfig = this.config;
+    this.config = this.mergeConfig(this.config, options);
+
+    if (this.state.isInitialized) {
+      this.applyFeatureChanges(previousConfig);
+    }
+
     this.calculateDimensions();
     this.resizeCanvas();
+
+    return images ? this.setImages(images) : Promise.resolve();
+  }
+
+  /**
+   * Apply options that are otherwise only read during setup
+   */
+  applyFeatureChanges(previousConfig) {
+    const { features, autoplay } = this.config;
+
+    // Listeners depend on the input features, keyboardTarget and pauseOnHover
+    this.removeEventListeners();
+    this.setupEventListeners();
+
+    if (features.showTitles && !this.titleContainer) {
+      this.setupTitleContainer();
+      this.titleAnimation = new TitleAnimationSystem(this.titleContainer);
+      this.titleAnimation.setReducedMotion(this.state.isReducedMotion);
+    } else if (!features.showTitles && this.titleContainer) {
+      this.titleContainer.remove();
+      this.titleContainer = null;
+      this.titleAnimation = null;
+    }
+
+    if (features.loop !== previousConfig.features.loop) {
+      this.zoomSystem.initStageSystem(this.images.length, { loop: features.loop });
+      this.calculateBoundaries();
+    }
+
+    this.applyReducedMotion();
+
+    if (features.direction !== previousConfig.features.direction) {
+      this.applyDirection();
+    }
+
+    if (features.orientation !== previousConfig.features.orientation) {
+      const index = this.getCurrentIndex();
+      this.applyOrientation();
+      this.resizeCanvas();
+      this.goToImage(index, { animate: false });
+    }
+
+    // Rewrite the URL in case the deep link options changed
+    this.state.deepLinkKey = null;
+
+    Object.assign(this.zoomSystem.deepZoom.params, {
+      maxScale: this.config.deepZoom.maxScale,
+      doubleTapScale: this.config.deepZoom.doubleTapScale,
+    });
+
+    if (this.config.animations.physics !== previousConfig.animations.physics) {
+      this.physics = createSliderPhysics(this.config.animations.physics);
+    }
+
+    this.autoplaySystem.params.interval = autoplay.interval;
+    this.autoplaySystem.params.resumeDelay = autoplay.resumeDelay;
+    if (autoplay.enabled !== previousConfig.autoplay.enabled) {
+      if (autoplay.enabled) {
+        this.play();
+      } else {
+        this.pause();
+      }
+    }
+  }
+
+  /**
+   * Remove all listeners added by setupEventListeners
+   */
+  removeEventListeners() {
+    if (!this.boundHandlers) return;
+
+    this.container.removeEventListener("pointerdown", this.boundHandlers.pointerDown);
+    this.container.removeEventListener("pointermove", this.boundHandlers.pointerMove);
+    this.container.removeEventListener("pointerup", this.boundHandlers.pointerUp);
+    this.container.removeEventListener("pointercancel", this.boundHandlers.pointerCancel);
+    this.container.removeEventListener("wheel", this.boundHandlers.wheel);
+    if (this.keyboardTarget) {
+      this.keyboardTarget.removeEventListener("keydown", this.boundHandlers.keyDown);
+    }
+    window.removeEventListener("resize", this.boundHandlers.resize);
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+    document.removeEventListener("visibilitychange", this.boundHandlers.visibilityChange);
+    document.removeEventListener("fullscreenchange", this.boundHandlers.fullscreenChange);
+    window.removeEventListener("popstate", this.boundHandlers.popState);
+    this.container.removeEventListener("pointerenter", this.boundHandlers.pointerEnter);
+    this.container.removeEventListener("pointerleave", this.boundHandlers.pointerLeave);
   }
 
   /**
@@ -1159,15 +3288,23 @@ export class ParallaxCarousel {
     if (this.animationFrameId) {
       cancelAnimationFrame(this.animationFrameId);
     }
+    clearTimeout(this.state.pendingTap);
+    clearTimeout(this.state.resizeTimeout);
 
     // Remove event listeners
-    if (this.boundHandlers) {
-      window.removeEventListener("pointerdown", this.boundHandlers.pointerDown);
-      window.removeEventListener("pointermove", this.boundHandlers.pointerMove);
-      window.removeEventListener("pointerup", this.boundHandlers.pointerUp);
-      window.removeEventListener("wheel", this.boundHandlers.wheel);
-      window.removeEventListener("keydown", this.boundHandlers.keyDown);
-      window.removeEventListener("resize", this.boundHandlers.resize);
+    this.removeEventListeners();
+    this.leaveHistoryEntry();
+
+    if (this.isFullscreen()) {
+      document.exitFullscreen().catch(() => {});
+    }
+
+    if (this.autoplaySystem) {
+      this.autoplaySystem.pause();
+    }
+
+    if (this.group) {
+      this.group.remove(this);
     }
 
     // Remove DOM elements
@@ -1181,14 +3318,38 @@ export class ParallaxCarousel {
 
     // Remove carousel container class
     if (this.container) {
-      this.container.classList.remove("parallax-carousel-container");
+      this.container.classList.remove(
+        "parallax-carousel-container",
+        "parallax-carousel-vertical",
+        "parallax-carousel-zoomed"
+      );
+      if (this.state.hasAddedTabIndex) {
+        this.container.removeAttribute("tabindex");
+      }
     }
 
-    this.state.isDestroyed = true;
+    if (this.reducedMotionQuery) {
+      this.reducedMotionQuery.removeEventListener("change", this.handleReducedMotionChange);
+    }
+
+    // Show the markup the carousel was hydrated from again
+    this.sourceElements.forEach((element) => {
+      element.classList.remove("parallax-carousel-source");
+      element.inert = false;
+    });
 
-    if (this.config.callbacks.onDestroy) {
-      this.config.callbacks.onDestroy(this);
+    if (this.accessibility) {
+      this.accessibility.destroy();
     }
+
+    this.state.isDestroyed = true;
+
+    // Release pending navigation promises, the carousel will never settle now
+    this.settleWaiters.forEach(({ resolve }) => resolve());
+    this.settleWaiters = [];
+
+    this.emit("destroy", { carousel: this });
+    this.events.clear();
   }
 
   // Additional methods will be added in part 2...
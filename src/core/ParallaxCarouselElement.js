@@ -0,0 +1,205 @@
+import { ParallaxCarousel } from "./ParallaxCarousel.js";
+import styles from "../styles/carousel.css?inline";
+
+// Attributes mapped onto config groups: [group, option, type]
+const ATTRIBUTE_OPTIONS = {
+  "show-index": ["features", "showIndex", "boolean"],
+  "show-titles": ["features", "showTitles", "boolean"],
+  "enable-zoom": ["features", "enableZoom", "boolean"],
+  "enable-keyboard": ["features", "enableKeyboard", "boolean"],
+  "enable-wheel": ["features", "enableWheel", "boolean"],
+  "enable-drag": ["features", "enableDrag", "boolean"],
+  "enable-deep-zoom": ["features", "enableDeepZoom", "boolean"],
+  "swipe-to-dismiss": ["features", "swipeToDismiss", "boolean"],
+  history: ["features", "history", "boolean"],
+  "enable-fullscreen-key": ["features", "enableFullscreenKey", "boolean"],
+  loop: ["features", "loop", "boolean"],
+  orientation: ["features", "orientation", "string"],
+  direction: ["features", "direction", "string"],
+  "parallax-strength": ["animations", "parallaxStrength", "number"],
+  autoplay: ["autoplay", "enabled", "boolean"],
+  "autoplay-interval": ["autoplay", "interval", "number"],
+  lazy: ["loading", "lazy", "boolean"],
+  "loading-indicator": ["loading", "showIndicator", "boolean"],
+  "background-color": ["styling", "backgroundColor", "string"],
+  "deep-link": ["deepLink", "enabled", "boolean"],
+};
+
+// Carousel events re-dispatched on the element as CustomEvents. The prefix keeps
+// bubbling events like 'resize' apart from the native ones on document and window.
+const EVENT_PREFIX = "parallax-carousel:";
+
+const SHADOW_STYLES = `
+  :host {
+    display: block;
+    position: relative;
+    height: 100vh;
+  }
+
+  .parallax-carousel-container {
+    height: 100%;
+  }
+`;
+
+// Custom elements can only extend HTMLElement where the DOM exists
+const BaseElement = typeof HTMLElement !== "undefined" ? HTMLElement : class {};
+
+/**
+ * <parallax-carousel> custom element wrapping ParallaxCarousel
+ *
+ * Images are read from an `images` JSON attribute or from child markup
+ * (`<img>`, optionally wrapped in `<a href>`). The carousel renders into a
+ * shadow root so its styles stay isolated from the page. Carousel events are
+ * dispatched with a `parallax-carousel:` prefix, e.g. `parallax-carousel:indexchange`.
+ *
+ * @example
+ * ParallaxCarouselElement.define();
+ *
+ * <parallax-carousel show-index="false" parallax-strength="0.8">
+ *   <a href="/articles/1"><img src="/img1.jpg" alt="Project One" /></a>
+ *   <a href="/articles/2"><img src="/img2.jpg" alt="Project Two" /></a>
+ * </parallax-carousel>
+ */
+export class ParallaxCarouselElement extends BaseElement {
+  /**
+   * Register the element
+   * @param {string} [tagName='parallax-carousel'] - Custom element name
+   */
+  static define(tagName = "parallax-carousel") {
+    if (!customElements.get(tagName)) {
+      customElements.define(tagName, this);
+    }
+  }
+
+  static get observedAttributes() {
+    return ["images", ...Object.keys(ATTRIBUTE_OPTIONS)];
+  }
+
+  constructor() {
+    super();
+
+    this.carousel = null;
+    this.attachShadow({ mode: "open" });
+
+    const style = document.createElement("style");
+    style.textContent = styles + SHADOW_STYLES;
+
+    this.container = document.createElement("div");
+    this.container.className = "parallax-carousel-container";
+    this.container.setAttribute("part", "container");
+
+    this.shadowRoot.append(style, this.container);
+  }
+
+  connectedCallback() {
+    // Child markup is only complete once the document has been parsed
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", () => this.createCarousel(), { once: true });
+    } else {
+      this.createCarousel();
+    }
+  }
+
+  disconnectedCallback() {
+    this.destroyCarousel();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this.carousel || oldValue === newValue) return;
+
+    const carousel = this.carousel;
+    carousel.ready
+      .then(() => {
+        if (this.carousel !== carousel) return;
+        if (name === "images") return carousel.setImages(this.getImages());
+        return carousel.updateConfig(this.getAttributeConfig(name));
+      })
+      .catch((error) => console.error(error));
+  }
+
+  createCarousel() {
+    if (this.carousel || !this.isConnected) return;
+
+    const images = this.getImages();
+    if (images.length === 0) {
+      console.warn("ParallaxCarousel: <parallax-carousel> has no images");
+      return;
+    }
+
+    this.carousel = new ParallaxCarousel({
+      ...this.getConfig(),
+      container: this.container,
+      images,
+    });
+
+    ParallaxCarousel.events.forEach((event) => {
+      this.carousel.on(event, (detail) => {
+        this.dispatchEvent(new CustomEvent(EVENT_PREFIX + event, { detail, bubbles: true }));
+      });
+    });
+
+    this.carousel.ready.catch((error) => console.error(error));
+  }
+
+  destroyCarousel() {
+    if (!this.carousel) return;
+
+    this.carousel.destroy();
+    this.carousel = null;
+  }
+
+  /**
+   * Build the config from the mapped attributes
+   */
+  getConfig() {
+    const config = {};
+
+    Object.entries(ATTRIBUTE_OPTIONS).forEach(([attribute, [group, option, type]]) => {
+      if (!this.hasAttribute(attribute)) return;
+
+      const value = this.getAttribute(attribute);
+      config[group] = config[group] || {};
+
+      if (type === "boolean") {
+        config[group][option] = value !== "false";
+      } else if (type === "number") {
+        const number = parseFloat(value);
+        if (!Number.isNaN(number)) config[group][option] = number;
+      } else {
+        config[group][option] = value;
+      }
+    });
+
+    return config;
+  }
+
+  /**
+   * Config for a single attribute, a removed attribute restores the default
+   */
+  getAttributeConfig(name) {
+    const [group, option] = ATTRIBUTE_OPTIONS[name];
+    const config = this.getConfig();
+    const value =
+      config[group] && option in config[group]
+        ? config[group][option]
+        : ParallaxCarousel.defaultConfig[group][option];
+
+    return { [group]: { [option]: value } };
+  }
+
+  /**
+   * Read image configs from the `images` attribute or the child markup
+   */
+  getImages() {
+    if (this.hasAttribute("images")) {
+      try {
+        return JSON.parse(this.getAttribute("images"));
+      } catch (error) {
+        console.error("ParallaxCarousel: Invalid images attribute", error);
+        return [];
+      }
+    }
+
+    return ParallaxCarousel.readImagesFromMarkup(this);
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Physics models moving the slider, selected through `animations.physics`.
+ *
+ * Each model advances a motion state by `dt` frames:
+ * `{ position, velocity, target, targetStrength, min, max, isBounded, isPointerDown }`.
+ * `target` is the position to move to (or null for a free scroll) and has to
+ * be reset to null once it is reached. `options` are the carousel's
+ * animation options, so models can be tuned at runtime.
+ */
+
+function clampToBounds(motion) {
+  if (motion.position < motion.min || motion.position > motion.max) {
+    motion.position = Math.max(motion.min, Math.min(motion.max, motion.position));
+    motion.velocity = 0;
+    motion.target = null;
+  }
+}
+
+/**
+ * Distance past the nearest boundary, negative before `min`
+ */
+function getOverscroll(motion) {
+  if (motion.position < motion.min) return motion.position - motion.min;
+  if (motion.position > motion.max) return motion.position - motion.max;
+  return 0;
+}
+
+/**
+ * Exponential friction with stronger damping close to the boundaries and a
+ * hard stop at them. Targets are approached by a share of the remaining distance.
+ */
+export class FrictionPhysics {
+  update(motion, dt, options) {
+    this.approachTarget(motion);
+
+    motion.velocity *= Math.pow(this.getDamping(motion, options), dt);
+
+    if (Math.abs(motion.velocity) > options.minVelocity || motion.target !== null) {
+      motion.position += motion.velocity * dt;
+      if (motion.isBounded) clampToBounds(motion);
+    }
+  }
+
+  approachTarget(motion) {
+    if (motion.target === null) return;
+
+    const distance = motion.target - motion.position;
+    if (Math.abs(distance) < 0.1) {
+      motion.position = motion.target;
+      motion.target = null;
+      motion.velocity = 0;
+    } else {
+      motion.velocity = motion.targetStrength * distance;
+    }
+  }
+
+  getDamping(motion, options) {
+    const { baseDamping, edgeDamping } = options;
+    if (!motion.isBounded) return baseDamping;
+
+    const edgeZone = (motion.max - motion.min) * options.edgeZone;
+    const edgeDistance =
+      motion.velocity < 0 ? motion.position - motion.min : motion.max - motion.position;
+    if (edgeDistance >= edgeZone) return baseDamping;
+
+    const edgeFactor = Math.max(0, edgeDistance / edgeZone);
+    return edgeDamping + (baseDamping - edgeDamping) * (1 - Math.exp(-edgeFactor));
+  }
+}
+
+/**
+ * Targets are reached through a spring, critically damped unless
+ * `springDamping` is set. Free scrolling keeps the friction of the default model.
+ */
+export class SpringPhysics extends FrictionPhysics {
+  update(motion, dt, options) {
+    if (motion.target === null) {
+      super.update(motion, dt, options);
+      return;
+    }
+
+    this.springTo(motion, motion.target, dt, options);
+    if (motion.position === motion.target) {
+      motion.target = null;
+    } else if (motion.isBounded) {
+      clampToBounds(motion);
+    }
+  }
+
+  springTo(motion, position, dt, options) {
+    const stiffness = options.springStiffness;
+    const damping = options.springDamping ?? 2 * Math.sqrt(stiffness);
+    const distance = position - motion.position;
+
+    if (Math.abs(distance) < 0.1 && Math.abs(motion.velocity) < 0.1) {
+      motion.position = position;
+      motion.velocity = 0;
+      return;
+    }
+
+    motion.velocity += (stiffness * distance - damping * motion.velocity) * dt;
+    motion.position += motion.velocity * dt;
+  }
+}
+
+/**
+ * iOS-style overscroll: the slider can be pulled past its boundaries with
+ * growing resistance and springs back once released
+ */
+export class RubberbandPhysics extends SpringPhysics {
+  update(motion, dt, options) {
+    const overscroll = getOverscroll(motion);
+
+    if (!motion.isBounded || motion.target !== null || overscroll === 0) {
+      this.updateInBounds(motion, dt, options);
+      return;
+    }
+
+    if (!motion.isPointerDown) {
+      this.springTo(motion, overscroll < 0 ? motion.min : motion.max, dt, options);
+      return;
+    }
+
+    this.updateOverscroll(motion, overscroll, dt, options);
+  }
+
+  updateInBounds(motion, dt, options) {
+    this.approachTarget(motion);
+
+    motion.velocity *= Math.pow(options.baseDamping, dt);
+    if (Math.abs(motion.velocity) > options.minVelocity || motion.target !== null) {
+      motion.position += motion.velocity * dt;
+    }
+  }
+
+  updateOverscroll(motion, overscroll, dt, options) {
+    const limit = options.overscrollLimit;
+
+    // Pulling further out gets harder the further the slider is out
+    if (overscroll * motion.velocity > 0) {
+      motion.velocity *= Math.max(0, 1 - Math.abs(overscroll) / limit);
+    }
+    motion.velocity *= Math.pow(options.baseDamping, dt);
+    motion.position += motion.velocity * dt;
+    motion.position = Math.max(motion.min - limit, Math.min(motion.max + limit, motion.position));
+  }
+}
+
+const PHYSICS = {
+  friction: FrictionPhysics,
+  spring: SpringPhysics,
+  rubberband: RubberbandPhysics,
+};
+
+/**
+ * Resolve `animations.physics` to a model: the name of a built-in model or
+ * an object with an `update(motion, dt, options)` method
+ */
+export function createSliderPhysics(physics) {
+  if (physics && typeof physics.update === "function") return physics;
+
+  if (!PHYSICS[physics]) {
+    console.warn(`ParallaxCarousel: Unknown physics "${physics}", using "friction"`);
+    return new FrictionPhysics();
+  }
+
+  return new PHYSICS[physics]();
+}
@@ -1,9 +1,18 @@
 export class StageAnimationSystem {
-  constructor(nImages) {
+  constructor(nImages, options = {}) {
+    this.drawImage =
+      options.drawImage ||
+      ((ctx, image, rect) => ctx.drawImage(image.element, rect.x, rect.y, rect.width, rect.height));
+
     this.params = {
       imageSmoothing: 0.4,
       maskSmoothing: 0.4,
       minThreshold: 0.00001,
+      fadeSpeed: 0.08, // Cross-fade progress per frame with reduced motion
+      loop: options.loop || false,
+      reducedMotion: options.reducedMotion || false,
+      orientation: options.orientation || "horizontal",
+      direction: options.direction || "ltr",
     };
 
     this.state = {
@@ -12,6 +21,7 @@ export class StageAnimationSystem {
       currentIndex: null,
       isTransitioning: false,
       isJumpTransition: false,
+      fade: null, // { fromIndex, progress } while cross-fading with reduced motion
     };
 
     this.initialize(nImages);
@@ -34,17 +44,35 @@ export class StageAnimationSystem {
     this.state.renderOrder = Array.from({ length: nImages }, (_, i) => i);
   }
 
+  // Signed distance of a stage from the given center index.
+  // In loop mode the distance wraps around to the shorter side.
+  getRelativeIndex(index, centerIndex) {
+    const delta = index - centerIndex;
+    if (!this.params.loop) return delta;
+
+    const total = this.state.stages.length;
+    const wrapped = ((delta % total) + total) % total;
+    return wrapped > total / 2 ? wrapped - total : wrapped;
+  }
+
   updateRenderOrder(currentIndex) {
-    const totalLength = this.state.stages.length;
+    const others = this.state.stages
+      .map((_, index) => index)
+      .filter((index) => index !== currentIndex);
 
-    // Get the elements before the current index in reverse order
-    const beforeElements = Array.from({ length: currentIndex }, (_, i) => i).reverse();
+    // Get the elements before the current index, nearest first
+    const beforeElements = others
+      .filter((index) => this.getRelativeIndex(index, currentIndex) < 0)
+      .sort(
+        (a, b) => this.getRelativeIndex(b, currentIndex) - this.getRelativeIndex(a, currentIndex)
+      );
 
-    // Get the elements after the current index in original order
-    const afterElements = Array.from(
-      { length: totalLength - currentIndex - 1 },
-      (_, i) => currentIndex + 1 + i
-    );
+    // Get the elements after the current index, nearest first
+    const afterElements = others
+      .filter((index) => this.getRelativeIndex(index, currentIndex) > 0)
+      .sort(
+        (a, b) => this.getRelativeIndex(a, currentIndex) - this.getRelativeIndex(b, currentIndex)
+      );
 
     // Combine all parts
     this.state.renderOrder = [currentIndex, ...beforeElements, ...afterElements];
@@ -54,7 +82,8 @@ export class StageAnimationSystem {
   // targetOffset: Either -0.5, 0 or 0.5 (left out, centered, right out)
   initializeStage(imageIndex) {
     this.state.stages.forEach((stage, index) => {
-      if (index < imageIndex) {
+      const relativeIndex = this.getRelativeIndex(index, imageIndex);
+      if (relativeIndex < 0) {
         stage.image = {
           offset: -0.5,
           targetOffset: -0.5,
@@ -63,7 +92,7 @@ export class StageAnimationSystem {
           offset: -1,
           targetOffset: -1,
         };
-      } else if (index > imageIndex) {
+      } else if (relativeIndex > 0) {
         stage.image = {
           offset: 0.5,
           targetOffset: 0.5,
@@ -96,10 +125,33 @@ export class StageAnimationSystem {
     this.transitionTo(newIndex);
   }
 
+  setReducedMotion(reducedMotion) {
+    this.params.reducedMotion = reducedMotion;
+  }
+
+  // Vertical carousels slide the fullscreen images up and down
+  setOrientation(orientation) {
+    this.params.orientation = orientation;
+  }
+
+  // Right-to-left carousels bring the next image in from the left
+  setDirection(direction) {
+    this.params.direction = direction;
+  }
+
   // Start transition to new image
   transitionTo(newIndex) {
     if (newIndex === this.state.currentIndex) return;
 
+    // Reduced motion cross-fades in place instead of sliding the masks
+    if (this.params.reducedMotion && this.state.currentIndex !== null) {
+      this.state.fade = { fromIndex: this.state.currentIndex, progress: 0 };
+      this.state.isJumpTransition = false;
+      this.initializeStage(newIndex);
+      this.state.isTransitioning = true;
+      return;
+    }
+
     // Handle jump transitions (mini image clicks)
     if (this.state.isJumpTransition) {
       this.state.stages.forEach((stage, idx) => {
@@ -109,12 +161,12 @@ export class StageAnimationSystem {
           stage.mask.targetOffset = 0;
         } else if (idx === this.state.currentIndex) {
           // Current centered image moves out
-          const direction = newIndex > this.state.currentIndex ? -1 : 1;
+          const direction = this.getRelativeIndex(this.state.currentIndex, newIndex) < 0 ? -1 : 1;
           stage.image.targetOffset = direction * 0.5;
           stage.mask.targetOffset = direction;
         } else {
           // All other images maintain their position relative to the new center
-          const direction = newIndex > idx ? -1 : 1;
+          const direction = this.getRelativeIndex(idx, newIndex) < 0 ? -1 : 1;
           stage.image.targetOffset = direction * 0.5;
           stage.mask.targetOffset = direction;
 
@@ -127,13 +179,19 @@ export class StageAnimationSystem {
     // Handle sequential transitions (left/right clicks)
     else {
       this.state.stages.forEach((stage, idx) => {
-        const direction = newIndex > idx ? -1 : 1;
+        const direction = this.getRelativeIndex(idx, newIndex) < 0 ? -1 : 1;
         if (idx === newIndex) {
           stage.image.targetOffset = 0;
           stage.mask.targetOffset = 0;
         } else {
           stage.image.targetOffset = direction * 0.5;
           stage.mask.targetOffset = direction;
+
+          // Looping can move idle images to the other side, which must not be animated
+          if (idx !== this.state.currentIndex && stage.mask.offset * direction < 0) {
+            stage.image.offset = stage.image.targetOffset;
+            stage.mask.offset = stage.mask.targetOffset;
+          }
         }
       });
     }
@@ -150,6 +208,15 @@ export class StageAnimationSystem {
   updateAnimation(dt) {
     if (!this.state.isTransitioning) return;
 
+    if (this.state.fade) {
+      this.state.fade.progress = Math.min(1, this.state.fade.progress + this.params.fadeSpeed * dt);
+      if (this.state.fade.progress >= 1) {
+        this.state.fade = null;
+        this.state.isTransitioning = false;
+      }
+      return;
+    }
+
     const imageSpeed = this.params.imageSmoothing * dt;
     const maskSpeed = this.params.maskSmoothing * dt;
     let allComplete = true;
@@ -183,19 +250,41 @@ export class StageAnimationSystem {
     ctx.roundRect(maskRect.x, maskRect.y, maskRect.width, maskRect.height, 1);
     ctx.clip();
 
+    if (this.state.fade) {
+      this.drawImage(ctx, allImages[this.state.fade.fromIndex], imageRect);
+      ctx.globalAlpha = this.state.fade.progress;
+      this.drawImage(ctx, allImages[this.state.currentIndex], imageRect);
+      ctx.restore();
+      return;
+    }
+
+    const isVertical = this.params.orientation === "vertical";
+    const sign = !isVertical && this.params.direction === "rtl" ? -1 : 1;
+
     // Render each stage
     this.state.renderOrder.forEach((orderIndex) => {
       const stage = this.state.stages[orderIndex];
       const stageImage = allImages[stage.imageIndex];
 
       ctx.save();
-      const maskX = maskRect.x + maskRect.width * stage.mask.offset;
+      const maskX = isVertical
+        ? maskRect.x
+        : maskRect.x + maskRect.width * stage.mask.offset * sign;
+      const maskY = isVertical ? maskRect.y + maskRect.height * stage.mask.offset : maskRect.y;
       ctx.beginPath();
-      ctx.roundRect(maskX, maskRect.y, maskRect.width, maskRect.height, 1);
+      ctx.roundRect(maskX, maskY, maskRect.width, maskRect.height, 1);
       ctx.clip();
 
-      const stageX = imageRect.x + maskRect.width * stage.image.offset;
-      ctx.drawImage(stageImage.element, stageX, imageRect.y, imageRect.width, imageRect.height);
+      const stageX = isVertical
+        ? imageRect.x
+        : imageRect.x + maskRect.width * stage.image.offset * sign;
+      const stageY = isVertical ? imageRect.y + maskRect.height * stage.image.offset : imageRect.y;
+      this.drawImage(ctx, stageImage, {
+        x: stageX,
+        y: stageY,
+        width: imageRect.width,
+        height: imageRect.height,
+      });
 
       ctx.restore();
     });
@@ -1,5 +1,8 @@
 export class TitleAnimationSystem {
-  constructor() {
+  constructor(titleList) {
+    // List element holding the titles of one carousel
+    this.titleList = titleList;
+
     this.params = {
       smoothing: {
         show: 0.085,
@@ -18,14 +21,20 @@ export class TitleAnimationSystem {
       titleElements: [],
       remainigDelay: 0,
       showNextIndex: null,
+      isReducedMotion: false,
     };
 
     this.initialize();
   }
 
+  // (Re)reads the title elements and resets them to the hidden state
   initialize() {
-    const titleList = document.getElementById("title-list");
-    this.state.titleElements = Array.from(titleList.querySelectorAll(".title a"));
+    this.state.currentTitleIndex = null;
+    this.state.isAnimatingIn = false;
+    this.state.isAnimatingOut = false;
+    this.state.showNextIndex = null;
+
+    this.state.titleElements = Array.from(this.titleList.querySelectorAll(".title a"));
 
     this.state.titleElements.forEach((title) => {
       title.style.transition = "none";
@@ -34,6 +43,11 @@ export class TitleAnimationSystem {
     });
   }
 
+  // Titles appear and disappear without sliding
+  setReducedMotion(isReducedMotion) {
+    this.state.isReducedMotion = isReducedMotion;
+  }
+
   setNextTitle(index) {
     this.state.showNextIndex = index;
   }
@@ -100,6 +114,11 @@ export class TitleAnimationSystem {
       return;
     }
 
+    if (this.state.isReducedMotion) {
+      this.updateWithoutMotion(currentTitle);
+      return;
+    }
+
     // Calculate the appropriate smoothing factor
     const smoothing = this.state.isAnimatingIn
       ? this.params.smoothing.show
@@ -133,6 +152,23 @@ export class TitleAnimationSystem {
     }
   }
 
+  updateWithoutMotion(currentTitle) {
+    this.state.currentPosition = this.state.targetPosition;
+    currentTitle.style.transform = `translate3d(0, ${this.state.currentPosition}%, 0)`;
+
+    if (this.state.isAnimatingOut) {
+      this.state.isAnimatingOut = false;
+      this.state.currentTitleIndex = null;
+
+      if (this.state.showNextIndex !== null) {
+        this.showTitle(this.state.showNextIndex, 0);
+        this.state.showNextIndex = null;
+      }
+    } else {
+      this.state.isAnimatingIn = false;
+    }
+  }
+
   easeOutCubic(x) {
     return 1 - Math.pow(1 - x, 3);
   }
@@ -9,7 +9,18 @@
 
 export { ParallaxCarousel } from './core/ParallaxCarousel.js';
 export { ImageZoomSystem } from './core/ImageZoomSystem.js';
+export { DeepZoomSystem } from './core/DeepZoomSystem.js';
 export { IndexAnimationSystem } from './core/IndexAnimationSystem.js';
 export { MiniSliderSystem } from './core/MiniSliderSystem.js';
 export { CrossAnimationSystem } from './core/CrossAnimationSystem.js';
 export { TitleAnimationSystem } from './core/TitleAnimationSystem.js';
+export { AutoplaySystem } from './core/AutoplaySystem.js';
+export { EventEmitter } from './core/EventEmitter.js';
+export {
+  FrictionPhysics,
+  SpringPhysics,
+  RubberbandPhysics,
+  createSliderPhysics,
+} from './core/SliderPhysics.js';
+export { CarouselGroup } from './core/CarouselGroup.js';
+export { ParallaxCarouselElement } from './core/ParallaxCarouselElement.js';
@@ -0,0 +1,151 @@
+import { createElement, forwardRef, useEffect, useImperativeHandle, useRef } from "react";
+import { ParallaxCarousel as Carousel } from "../core/ParallaxCarousel.js";
+
+// Event props named after the carousel events, e.g. onIndexChange for 'indexchange'
+const EVENT_PROPS = Object.fromEntries(
+  Carousel.events.map((event) => {
+    const name = event.replace(/(change|start|end|load|error)$/, (word) => `-${word}`);
+    const propName = name.replace(/(^|-)(\w)/g, (match, dash, char) => char.toUpperCase());
+    return [`on${propName}`, event];
+  })
+);
+
+function getConfig(props) {
+  const config = {};
+  Carousel.configGroups.forEach((key) => {
+    if (props[key] !== undefined) config[key] = props[key];
+  });
+  if (props.keyboardTarget) config.keyboardTarget = props.keyboardTarget;
+  return config;
+}
+
+// Run an update once the carousel is ready, unless it was destroyed in the meantime
+function whenReady(carouselRef, update) {
+  const carousel = carouselRef.current;
+  if (!carousel) return;
+
+  carousel.ready
+    .then(() => {
+      if (carouselRef.current === carousel) return update(carousel);
+    })
+    .catch((error) => console.error(error));
+}
+
+/**
+ * React component rendering a ParallaxCarousel into a div
+ *
+ * `index` and `zoomed` are applied whenever they change, user navigation is
+ * reported through `onIndexChange` and `onZoomStart`. Event props receive the
+ * event detail, `onImageClick(index, image)` can return false to prevent
+ * zooming. The ref exposes the navigation, autoplay and image methods plus
+ * `getInstance()`.
+ *
+ * @example
+ * <ParallaxCarousel
+ *   images={images}
+ *   index={index}
+ *   onIndexChange={({ index }) => setIndex(index)}
+ *   style={{ height: "60vh" }}
+ * />
+ */
+export const ParallaxCarousel = forwardRef(function ParallaxCarousel(props, ref) {
+  const { images, index, zoomed, keyboardTarget, className, style } = props;
+
+  const containerRef = useRef(null);
+  const carouselRef = useRef(null);
+  const appliedRef = useRef({ images: null, config: null, keyboardTarget: null });
+
+  // Handlers always read the latest props without resubscribing
+  const propsRef = useRef(props);
+  propsRef.current = props;
+
+  const imagesKey = JSON.stringify(images);
+  const configKey = JSON.stringify(getConfig({ ...props, keyboardTarget: null }));
+
+  useImperativeHandle(
+    ref,
+    () => {
+      const api = { getInstance: () => carouselRef.current };
+      Carousel.apiMethods.forEach((method) => {
+        api[method] = (...args) => carouselRef.current && carouselRef.current[method](...args);
+      });
+      return api;
+    },
+    []
+  );
+
+  // Create the carousel on mount. StrictMode mounts twice, the first
+  // instance is destroyed by the cleanup before the second one is created.
+  useEffect(() => {
+    const initialProps = propsRef.current;
+    const carousel = new Carousel({
+      ...getConfig(initialProps),
+      container: containerRef.current,
+      images: initialProps.images,
+      callbacks: {
+        onImageClick: (imageIndex, image) =>
+          propsRef.current.onImageClick && propsRef.current.onImageClick(imageIndex, image),
+      },
+    });
+    carouselRef.current = carousel;
+    appliedRef.current = { images: imagesKey, config: configKey, keyboardTarget };
+
+    Object.entries(EVENT_PROPS).forEach(([prop, event]) => {
+      carousel.on(event, (detail) => propsRef.current[prop] && propsRef.current[prop](detail));
+    });
+
+    whenReady(carouselRef, () => {
+      const { index: initialIndex, zoomed: initialZoomed } = propsRef.current;
+      if (initialIndex !== undefined) carousel.goToImage(initialIndex, { animate: false });
+      if (initialZoomed) carousel.zoomIn(initialIndex);
+    });
+
+    return () => {
+      carousel.destroy();
+      carouselRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!carouselRef.current || appliedRef.current.images === imagesKey) return;
+
+    appliedRef.current.images = imagesKey;
+    whenReady(carouselRef, (carousel) => carousel.setImages(propsRef.current.images));
+  }, [imagesKey]);
+
+  useEffect(() => {
+    if (!carouselRef.current || appliedRef.current.config === configKey) return;
+
+    appliedRef.current.config = configKey;
+    whenReady(carouselRef, (carousel) => carousel.updateConfig(getConfig(propsRef.current)));
+  }, [configKey]);
+
+  useEffect(() => {
+    if (!carouselRef.current || appliedRef.current.keyboardTarget === keyboardTarget) return;
+
+    // A removed target hands the keys back to the container
+    appliedRef.current.keyboardTarget = keyboardTarget;
+    whenReady(carouselRef, (carousel) =>
+      carousel.updateConfig({ keyboardTarget: keyboardTarget || null })
+    );
+  }, [keyboardTarget]);
+
+  useEffect(() => {
+    if (index === undefined) return;
+
+    whenReady(carouselRef, (carousel) => {
+      if (carousel.getCurrentIndex() !== index) carousel.goToImage(index);
+    });
+  }, [index]);
+
+  useEffect(() => {
+    if (zoomed === undefined) return;
+
+    whenReady(carouselRef, (carousel) => {
+      if (zoomed && !carousel.isZoomed()) carousel.zoomIn(index);
+      if (!zoomed && carousel.isZoomed()) carousel.zoomOut();
+    });
+  }, [zoomed]);
+
+  return createElement("div", { ref: containerRef, className, style });
+});
@@ -0,0 +1,125 @@
+import { defineComponent, h, onBeforeUnmount, onMounted, ref, watch } from "vue";
+import { ParallaxCarousel as Carousel } from "../core/ParallaxCarousel.js";
+
+function getConfig(props) {
+  const config = {};
+  Carousel.configGroups.forEach((key) => {
+    if (props[key] !== undefined) config[key] = props[key];
+  });
+  if (props.keyboardTarget) config.keyboardTarget = props.keyboardTarget;
+  return config;
+}
+
+/**
+ * Vue component rendering a ParallaxCarousel into a div
+ *
+ * Supports `v-model:index` and `v-model:zoomed`, re-emits all carousel
+ * events with their detail and exposes the navigation, autoplay and image
+ * methods plus `getInstance()` on the component ref.
+ *
+ * @example
+ * <ParallaxCarousel v-model:index="index" :images="images" @settle="onSettle" />
+ */
+export const ParallaxCarousel = defineComponent({
+  name: "ParallaxCarousel",
+
+  props: {
+    images: { type: Array, required: true },
+    index: { type: Number, default: undefined },
+    zoomed: { type: Boolean, default: undefined },
+    keyboardTarget: { type: [String, Object], default: undefined },
+    // One object prop per config group, e.g. features or animations
+    ...Object.fromEntries(
+      Carousel.configGroups.map((key) => [key, { type: Object, default: undefined }])
+    ),
+    // Return false to prevent zooming into the clicked image
+    onImageClick: { type: Function, default: undefined },
+  },
+
+  emits: ["update:index", "update:zoomed", ...Carousel.events],
+
+  setup(props, { emit, expose }) {
+    const container = ref(null);
+    let carousel = null;
+
+    const api = { getInstance: () => carousel };
+    Carousel.apiMethods.forEach((method) => {
+      api[method] = (...args) => carousel && carousel[method](...args);
+    });
+    expose(api);
+
+    // Run an update once the carousel is ready, unless it was destroyed in the meantime
+    const whenReady = (update) => {
+      const instance = carousel;
+      if (!instance) return;
+
+      instance.ready
+        .then(() => {
+          if (carousel === instance) return update(instance);
+        })
+        .catch((error) => console.error(error));
+    };
+
+    onMounted(() => {
+      carousel = new Carousel({
+        ...getConfig(props),
+        container: container.value,
+        images: props.images,
+        callbacks: {
+          onImageClick: (index, image) => props.onImageClick && props.onImageClick(index, image),
+        },
+      });
+
+      Carousel.events.forEach((event) => {
+        carousel.on(event, (detail) => emit(event, detail));
+      });
+      carousel.on("indexchange", ({ index }) => emit("update:index", index));
+      carousel.on("zoomstart", ({ direction }) => emit("update:zoomed", direction === "in"));
+
+      whenReady((instance) => {
+        if (props.index !== undefined) instance.goToImage(props.index, { animate: false });
+        if (props.zoomed) instance.zoomIn(props.index);
+      });
+    });
+
+    onBeforeUnmount(() => {
+      if (carousel) carousel.destroy();
+      carousel = null;
+    });
+
+    watch(
+      () => props.images,
+      (images) => whenReady((instance) => instance.setImages(images)),
+      { deep: true }
+    );
+
+    watch(
+      () => getConfig(props),
+      (config) => whenReady((instance) => instance.updateConfig(config)),
+      { deep: true }
+    );
+
+    watch(
+      () => props.index,
+      (index) => {
+        if (index === undefined) return;
+        whenReady((instance) => {
+          if (instance.getCurrentIndex() !== index) instance.goToImage(index);
+        });
+      }
+    );
+
+    watch(
+      () => props.zoomed,
+      (zoomed) => {
+        if (zoomed === undefined) return;
+        whenReady((instance) => {
+          if (zoomed && !instance.isZoomed()) instance.zoomIn(props.index);
+          if (!zoomed && instance.isZoomed()) instance.zoomOut();
+        });
+      }
+    );
+
+    return () => h("div", { ref: container });
+  },
+});
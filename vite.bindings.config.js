@@ -0,0 +1,30 @@
+import { defineConfig } from 'vite';
+import { resolve } from 'path';
+
+// Builds the React and Vue components as ES modules next to the main library.
+// The frameworks and the carousel core are imported from their packages
+// instead of being bundled.
+const isCore = (id) => id.endsWith('/core/ParallaxCarousel.js');
+
+export default defineConfig({
+  build: {
+    lib: {
+      entry: {
+        react: resolve(__dirname, 'src/react/ParallaxCarousel.js'),
+        vue: resolve(__dirname, 'src/vue/ParallaxCarousel.js'),
+      },
+      formats: ['es'],
+      fileName: (format, entryName) => `${entryName}.esm.js`,
+    },
+    rollupOptions: {
+      external: (id) => id === 'react' || id === 'vue' || isCore(id),
+      makeAbsoluteExternalsRelative: false,
+      output: {
+        paths: (id) => (isCore(id) ? '@maxber04/parallax-carousel' : id),
+      },
+    },
+    sourcemap: true,
+    outDir: 'dist',
+    emptyOutDir: false,
+  },
+});